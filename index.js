@@ -7,10 +7,14 @@
  * Key Features:
  * - Real-time camera feed with multiple device support
  * - Advanced color reduction and dithering algorithms
- * - 5-color palette system optimized for risograph printing
+ * - Palette of 1-8 inks (one per drum) optimized for risograph printing
  * - Multiple dithering algorithms (Floyd-Steinberg, Atkinson, etc.)
+ * - Per-ink weights to balance coverage between drums
+ * - Line art render mode: Sobel or Canny edges in one ink over an optional fill
+ * - Grayscale separation render mode: 8-bit density layers for the machine to screen
  * - Automatic layer separation for multi-color printing
  * - Real-time image adjustments (contrast, saturation, brightness, hue)
+ * - Denoise and sharpen pre-filters, levels and curves before dithering
  * - Mobile-friendly camera switching (front/back cameras)
  * - Export system for print-ready PNG layers
  *
@@ -20,12 +24,47 @@
  *   saturation="100"
  *   brightness="100"
  *   hue="0"
- *   color-1="black"
- *   color-2="orange"
- *   color-3="blue"
- *   color-4="pink"
- *   color-5="red"
- *   dither-method="floyd-steinberg">
+ *   levels="12 240 1.1"
+ *   curves="rgb: 0 0, 64 48, 192 208, 255 255; b: 0 12, 255 255"
+ *   denoise="median 1"
+ *   sharpen="80 1.5 4"
+ *   palette="black, orange, blue, pink, red"
+ *   ink-weights="100 100 120 60 100"
+ *   paper-color="#e8d5b0"
+ *   ink-library="black, fluorescent-pink, medium-blue, yellow, teal, #ff6c2f"
+ *   snap-to-library
+ *   dither-method="floyd-steinberg"
+ *   render-mode="line-art"
+ *   edge-detector="canny"
+ *   line-threshold="48"
+ *   line-weight="1"
+ *   line-ink="1"
+ *   fill-ink="2"
+ *   serpentine
+ *   linear-light
+ *   overprint
+ *   diffusion-strength="80"
+ *   error-limit="96"
+ *   color-metric="de2000"
+ *   halftone-screens="45 60 round, 15 60 round, 75 60 ellipse, 0 60 line, 30 60 square"
+ *   posterize-channel="luminance"
+ *   posterize-bands="0 1, 80 3, 150 2, 210 paper">
+ * </e-y-e>
+ *
+ * Colors can be any CSS color or a standard riso ink name from RISO_INKS
+ * (e.g. "fluorescent-pink"). CSS keywords win over ink names, so "blue" is
+ * CSS blue; prefix an ink with "riso:" ("riso:blue") to select it. The legacy color-1 ... color-8 attributes still
+ * set the matching ink; on connect they are only read when there is no
+ * palette attribute.
+ *
+ * Custom error diffusion matrices can be added with the diffusion-matrices
+ * attribute, a <script type="application/json" data-diffusion-matrices> child,
+ * or registerDiffusionMatrix(). Offsets are [x, y, weight], divided by divisor:
+ * <e-y-e dither-method="sierra-lite">
+ *   <script type="application/json" data-diffusion-matrices>
+ *     { "sierra-lite": { "label": "Sierra Lite", "divisor": 4,
+ *       "matrix": [[1, 0, 2], [-1, 1, 1], [0, 1, 1]] } }
+ *   </script>
  * </e-y-e>
  *
  * Events:
@@ -38,14 +77,52 @@
 
 import { CameraManager } from "./src/camera/CameraManager.js";
 import { ImageProcessor } from "./src/image/ImageProcessor.js";
+import { WorkerManager } from "./src/image/WorkerManager.js";
 import { UIManager } from "./src/ui/UIManager.js";
 import { ExportManager } from "./src/export/ExportManager.js";
 import {
   DEFAULT_VALUES,
+  DITHER_METHODS,
   OBSERVED_ATTRIBUTES,
   EVENTS,
+  RISO_INKS,
 } from "./src/utils/Constants.js";
 import { convertToPixels } from "./src/utils/SizeUtils.js";
+import { parseLineArt } from "./src/image/EdgeDetection.js";
+import {
+  parsePosterizeBands,
+  formatPosterizeBands,
+  createDefaultBands,
+} from "./src/image/Posterize.js";
+import {
+  parseHalftoneScreens,
+  formatHalftoneScreens,
+} from "./src/image/Halftone.js";
+import {
+  parseLevels,
+  formatLevels,
+  parseCurves,
+  formatCurves,
+  createDefaultCurves,
+} from "./src/image/ToneCurves.js";
+import {
+  parseDenoise,
+  formatDenoise,
+  parseSharpen,
+  formatSharpen,
+} from "./src/image/Filters.js";
+import {
+  colorToRgb,
+  rgbToHex,
+  parsePalette,
+  formatPalette,
+  parseInkWeights,
+  formatInkWeights,
+  buildPalette,
+  risoInkName,
+} from "./src/utils/ColorUtils.js";
+import { extractPalette, snapToLibrary } from "./src/image/PaletteExtractor.js";
+import { parsePaletteFile } from "./src/export/PaletteFiles.js";
 
 class EYE extends HTMLElement {
   // =============================================================================
@@ -88,27 +165,79 @@ class EYE extends HTMLElement {
   /** @type {number} Image hue rotation in degrees (0-360, default 0) */
   hue = DEFAULT_VALUES.HUE;
 
-  /** @type {string} First risograph ink color */
-  color1 = DEFAULT_VALUES.COLOR_1;
+  /** @type {{black: number, white: number, gamma: number}} Levels applied before dithering */
+  levels = { ...DEFAULT_VALUES.LEVELS };
+
+  /** @type {Object} Curve control points keyed by channel (rgb, r, g, b) */
+  curves = createDefaultCurves();
 
-  /** @type {string} Second risograph ink color */
-  color2 = DEFAULT_VALUES.COLOR_2;
+  /** @type {{method: string, radius: number}} Denoise pre-filter (radius 0 = off) */
+  denoise = { ...DEFAULT_VALUES.DENOISE };
 
-  /** @type {string} Third risograph ink color */
-  color3 = DEFAULT_VALUES.COLOR_3;
+  /** @type {{amount: number, radius: number, threshold: number}} Unsharp mask pre-filter (amount 0 = off) */
+  sharpen = { ...DEFAULT_VALUES.SHARPEN };
 
-  /** @type {string} Fourth risograph ink color */
-  color4 = DEFAULT_VALUES.COLOR_4;
+  /** @type {string[]} Risograph ink colors, one per drum */
+  palette = [...DEFAULT_VALUES.PALETTE];
 
-  /** @type {string} Fifth risograph ink color */
-  color5 = DEFAULT_VALUES.COLOR_5;
+  /** @type {number[]} Palette search weight per ink in percent (missing = 100) */
+  ink_weights = [];
+
+  /** @type {string} Paper stock color, treated as "no ink" */
+  paper_color = DEFAULT_VALUES.PAPER_COLOR;
 
   /** @type {string} Current dithering algorithm method */
   dither_method = DEFAULT_VALUES.DITHER_METHOD;
 
+  /** @type {string} Render mode: "dither" or "line-art" */
+  render_mode = DEFAULT_VALUES.RENDER_MODE;
+
+  /** @type {{detector: string, threshold: number, weight: number, ink: number, fill: number}} Line art settings */
+  line_art = { ...DEFAULT_VALUES.LINE_ART };
+
+  /** @type {number} Share of quantization error diffused to neighbors (0-100%) */
+  diffusion_strength = DEFAULT_VALUES.DIFFUSION_STRENGTH;
+
+  /** @type {number} Max per-channel drift from accumulated error (0-255, 255 = off) */
+  error_limit = DEFAULT_VALUES.ERROR_LIMIT;
+
+  /** @type {Object} Custom diffusion matrix definitions keyed by method name */
+  diffusion_matrices = {};
+
+  /** @type {boolean} Whether error diffusion alternates scan direction per row */
+  serpentine = DEFAULT_VALUES.SERPENTINE;
+
+  /** @type {boolean} Whether error diffusion runs in linear light (gamma-correct) */
+  linear_light = DEFAULT_VALUES.LINEAR_LIGHT;
+
+  /** @type {string[]} Available inks the auto palette can snap to */
+  ink_library = [...DEFAULT_VALUES.INK_LIBRARY];
+
+  /** @type {boolean} Whether auto palette proposals snap to the ink library */
+  snap_to_library = DEFAULT_VALUES.SNAP_TO_LIBRARY;
+
+  /** @type {boolean} Whether pixels may carry several overprinted inks */
+  overprint = DEFAULT_VALUES.OVERPRINT;
+
+  /** @type {string} Color distance metric used to pick palette inks */
+  color_metric = DEFAULT_VALUES.COLOR_METRIC;
+
+  /** @type {Object[]} AM halftone screen ({angle, lpi, shape}) for each ink */
+  halftone_screens = parseHalftoneScreens(
+    null,
+    DEFAULT_VALUES.HALFTONE_SCREENS,
+  );
+
+  /** @type {string} Channel the posterize method splits into bands */
+  posterize_channel = DEFAULT_VALUES.POSTERIZE_CHANNEL;
+
+  /** @type {{start: number, ink: number}[]|null} Posterize bands, or null for one band per palette color */
+  posterize_bands = null;
+
   // Manager instances
   cameraManager = new CameraManager();
   imageProcessor = new ImageProcessor();
+  workerManager = null;
   uiManager = new UIManager();
   exportManager = new ExportManager();
 
@@ -125,6 +254,9 @@ class EYE extends HTMLElement {
   uploadedImage = null;
   isImageUploaded = false;
 
+  /** @type {boolean} Whether an uploaded image changed while the worker was busy */
+  uploadedImageStale = false;
+
   // =============================================================================
   // LIFECYCLE METHODS
   // =============================================================================
@@ -194,15 +326,49 @@ class EYE extends HTMLElement {
       this.beginVideoPoll();
     });
 
+    // Run dithering in a worker when possible; the local processor stays in
+    // sync as the synchronous fallback
+    if (WorkerManager.isSupported()) {
+      this.workerManager = new WorkerManager();
+      this.workerManager.initialize(
+        (dithered_data) => this.displayFrame(dithered_data),
+        () => {
+          console.warn("Falling back to main-thread image processing");
+          this.workerManager = null;
+          if (this.isImageUploaded) {
+            this.processUploadedImage();
+          }
+        },
+      );
+    }
+
     // Initialize image processor with current palette
-    this.imageProcessor.setDitherMethod(this.dither_method);
-    this.imageProcessor.setPalette(
-      this.color1,
-      this.color2,
-      this.color3,
-      this.color4,
-      this.color5,
+    Object.entries(this.diffusion_matrices).forEach(([name, definition]) => {
+      this.configureProcessor("registerDiffusionMatrix", name, definition);
+    });
+    this.configureProcessor("setToneAdjustments", this.levels, this.curves);
+    this.configureProcessor("setPreFilters", this.denoise, this.sharpen);
+    this.configureProcessor("setDitherMethod", this.dither_method);
+    this.configureProcessor("setRenderMode", this.render_mode);
+    this.configureProcessor("setLineArt", this.line_art);
+    this.configureProcessor(
+      "setPosterize",
+      this.posterize_channel,
+      this.posterize_bands,
+    );
+    this.configureProcessor("setColorMetric", this.color_metric);
+    this.configureProcessor("setSerpentine", this.serpentine);
+    this.configureProcessor("setLinearLight", this.linear_light);
+    this.configureProcessor("setOverprint", this.overprint);
+    this.configureProcessor("setDiffusionStrength", this.diffusion_strength);
+    this.configureProcessor("setErrorLimit", this.error_limit);
+    this.configureProcessor(
+      "setHalftoneScreens",
+      this.halftone_screens,
+      this.dpi,
     );
+    this.configureProcessor("setInkWeights", this.ink_weights);
+    this.configureProcessor("setPalette", this.palette, this.paper_color);
 
     // Initialize export manager
     this.exportManager.initialize(this.scratch_canvas, this.final_canvas, this);
@@ -223,10 +389,49 @@ class EYE extends HTMLElement {
       },
 
       onSliderChange: (type, value) => {
+        // Levels sliders edit one part of the levels attribute
+        if (type.startsWith("levels_")) {
+          const levels = { ...this.levels, [type.slice(7)]: Number(value) };
+          this.setAttribute("levels", formatLevels(levels));
+          return;
+        }
+        // Filter sliders edit one part of the denoise or sharpen attribute
+        if (type.startsWith("denoise_")) {
+          const denoise = { ...this.denoise, [type.slice(8)]: Number(value) };
+          this.setAttribute("denoise", formatDenoise(denoise));
+          return;
+        }
+        if (type.startsWith("sharpen_")) {
+          const sharpen = { ...this.sharpen, [type.slice(8)]: Number(value) };
+          this.setAttribute("sharpen", formatSharpen(sharpen));
+          return;
+        }
+        // Line art sliders edit their own attributes
+        if (type === "line_threshold" || type === "line_weight") {
+          this.setAttribute(type.replace("_", "-"), value);
+          return;
+        }
         this[type] = value;
+        // Diffusion settings belong to the image processor; their attribute
+        // handlers pass them on
+        if (type === "diffusion_strength" || type === "error_limit") {
+          this.setAttribute(type.replace("_", "-"), value);
+        }
         console.log(`${type} adjusted to:`, value);
       },
 
+      onDenoiseMethodChange: (method) => {
+        this.setAttribute(
+          "denoise",
+          formatDenoise({ ...this.denoise, method }),
+        );
+      },
+
+      onCurvesChange: (curves) => {
+        // The curves attribute handler applies the change
+        this.setAttribute("curves", formatCurves(curves));
+      },
+
       onReset: () => {
         this.resetToDefaults();
       },
@@ -242,34 +447,135 @@ class EYE extends HTMLElement {
 
       onDitherMethodChange: (method) => {
         this.dither_method = method;
-        this.imageProcessor.setDitherMethod(method);
+        this.configureProcessor("setDitherMethod", method);
         console.log("Dither method changed to:", method);
       },
 
+      onRenderModeChange: (mode) => {
+        this.setAttribute("render-mode", mode);
+      },
+
+      onEdgeDetectorChange: (detector) => {
+        this.setAttribute("edge-detector", detector);
+      },
+
+      onLineInkChange: (ink) => {
+        this.setAttribute("line-ink", ink);
+      },
+
+      onFillInkChange: (ink) => {
+        this.setAttribute("fill-ink", ink);
+      },
+
+      onSerpentineChange: (enabled) => {
+        this.serpentine = enabled;
+        this.configureProcessor("setSerpentine", enabled);
+        this.toggleAttribute("serpentine", enabled);
+      },
+      onLinearLightChange: (enabled) => {
+        this.linear_light = enabled;
+        this.configureProcessor("setLinearLight", enabled);
+        this.toggleAttribute("linear-light", enabled);
+      },
+
+      onOverprintChange: (enabled) => {
+        this.overprint = enabled;
+        this.configureProcessor("setOverprint", enabled);
+        this.toggleAttribute("overprint", enabled);
+      },
+
+      onColorMetricChange: (metric) => {
+        this.color_metric = metric;
+        this.configureProcessor("setColorMetric", metric);
+        this.setAttribute("color-metric", metric);
+      },
+
+      onHalftoneScreenChange: (index, screen) => {
+        this.halftone_screens[index] = screen;
+        this.configureProcessor(
+          "setHalftoneScreens",
+          this.halftone_screens,
+          this.dpi,
+        );
+        this.setAttribute(
+          "halftone-screens",
+          formatHalftoneScreens(this.halftone_screens),
+        );
+      },
+
+      onPosterizeChannelChange: (channel) => {
+        this.setAttribute("posterize-channel", channel);
+      },
+
+      onPosterizeBandsChange: (bands) => {
+        // The posterize-bands attribute handler sorts and applies the bands
+        this.setAttribute("posterize-bands", formatPosterizeBands(bands));
+      },
+
       onExportLayers: () => {
+        if (this.render_mode === "separation") {
+          this.exportSeparation();
+          return;
+        }
         this.exportManager.exportRisographLayers(
-          this.color1,
-          this.color2,
-          this.color3,
-          this.color4,
-          this.color5,
+          this.palette,
           this.eye_width,
           this.eye_height,
+          this.paper_color,
+          this.overprint,
+        );
+      },
+
+      onAutoPalette: () => {
+        this.applyAutoPalette();
+      },
+
+      onPaletteExport: (format) => {
+        this.exportManager.exportPalette(
+          this.palette,
+          this.paper_color,
+          format,
+        );
+      },
+
+      onPaletteImport: (file) => {
+        this.importPaletteFile(file);
+      },
+
+      onSnapToLibraryChange: (enabled) => {
+        this.snap_to_library = enabled;
+        this.toggleAttribute("snap-to-library", enabled);
+      },
+
+      onPaperColorChange: (newColor) => {
+        this.setAttribute("paper-color", newColor);
+      },
+
+      onColorChange: (inkIndex, newColor) => {
+        const palette = [...this.palette];
+        palette[inkIndex] = newColor;
+        // The palette attribute handler applies the change
+        this.setAttribute("palette", formatPalette(palette));
+      },
+
+      onInkWeightChange: (inkIndex, weight) => {
+        const weights = this.palette.map(
+          (ink, i) => this.ink_weights[i] ?? DEFAULT_VALUES.INK_WEIGHT,
         );
+        weights[inkIndex] = weight;
+        // The ink-weights attribute handler clamps and applies the weights
+        this.setAttribute("ink-weights", formatInkWeights(weights));
       },
 
-      onColorChange: (propertyName, newColor) => {
-        this[propertyName] = newColor;
-        this.imageProcessor.setPalette(
-          this.color1,
-          this.color2,
-          this.color3,
-          this.color4,
-          this.color5,
+      onInkCountChange: (count) => {
+        // Keep existing inks; new drums cycle through the default inks
+        const palette = Array.from(
+          { length: count },
+          (_, i) =>
+            this.palette[i] ||
+            DEFAULT_VALUES.PALETTE[i % DEFAULT_VALUES.PALETTE.length],
         );
-        // Update the corresponding attribute
-        const attrName = propertyName.replace(/(\d)/, "-$1");
-        this.setAttribute(attrName, newColor);
+        this.setAttribute("palette", formatPalette(palette));
       },
 
       onSizeChange: (widthValue, heightValue, sizeUnit, dpi) => {
@@ -324,17 +630,35 @@ class EYE extends HTMLElement {
       saturation: this.saturation,
       brightness: this.brightness,
       hue: this.hue,
+      levels: this.levels,
+      diffusion_strength: this.diffusion_strength,
+      error_limit: this.error_limit,
     });
+    this.uiManager.createFilterControls(this.denoise, this.sharpen);
+    this.uiManager.createCurveEditor(this.curves);
     this.uiManager.createResetButton();
+    this.uiManager.createInkCountControl(this.palette.length);
+    this.uiManager.createAutoPaletteControls(this.snap_to_library);
+    this.uiManager.createPaletteFileControls();
+    this.uiManager.createSerpentineCheckbox(this.serpentine);
+    this.uiManager.createLinearLightCheckbox(this.linear_light);
+    this.uiManager.createOverprintCheckbox(this.overprint);
+    this.uiManager.createColorMetricSelector(this.color_metric);
+    this.uiManager.createHalftoneControls(this.halftone_screens);
+    this.uiManager.createPosterizeControls(
+      this.posterize_channel,
+      this.getPosterizeBands(),
+      this.palette.length,
+    );
+    this.uiManager.createLineArtControls(this.line_art, this.palette.length);
     this.uiManager.createTakePictureButton();
     this.uiManager.createBottomControls();
-    this.uiManager.createColorPicker({
-      color1: this.color1,
-      color2: this.color2,
-      color3: this.color3,
-      color4: this.color4,
-      color5: this.color5,
-    });
+    this.uiManager.updateRenderMode(this.render_mode);
+    this.uiManager.createColorPicker(
+      this.palette,
+      this.paper_color,
+      this.ink_weights,
+    );
 
     // Populate camera list
     this.updateCameraList();
@@ -405,12 +729,20 @@ class EYE extends HTMLElement {
     this.saturation = DEFAULT_VALUES.SATURATION;
     this.brightness = DEFAULT_VALUES.BRIGHTNESS;
     this.hue = DEFAULT_VALUES.HUE;
+    this.setAttribute("diffusion-strength", DEFAULT_VALUES.DIFFUSION_STRENGTH);
+    this.setAttribute("error-limit", DEFAULT_VALUES.ERROR_LIMIT);
+    this.setAttribute("levels", formatLevels(DEFAULT_VALUES.LEVELS));
+    this.removeAttribute("curves");
+    this.setAttribute("denoise", formatDenoise(DEFAULT_VALUES.DENOISE));
+    this.setAttribute("sharpen", formatSharpen(DEFAULT_VALUES.SHARPEN));
 
     this.uiManager.resetSliders({
       contrast: this.contrast,
       saturation: this.saturation,
       brightness: this.brightness,
       hue: this.hue,
+      diffusion_strength: this.diffusion_strength,
+      error_limit: this.error_limit,
     });
   }
 
@@ -449,12 +781,7 @@ class EYE extends HTMLElement {
     }
 
     // Clear the canvas first
-    this.scratch_canvas_context.clearRect(
-      0,
-      0,
-      this.eye_width,
-      this.eye_height,
-    );
+    this.clearScratchCanvas();
 
     // Calculate scaling to maintain aspect ratio
     const videoAspect = video.videoWidth / video.videoHeight;
@@ -489,14 +816,53 @@ class EYE extends HTMLElement {
     // Reset filter to avoid affecting future operations
     this.scratch_canvas_context.filter = "none";
 
-    // Get image data and apply dithering
+    this.processFrame();
+  }
+
+  /**
+   * Clear the scratch canvas to the paper color
+   * Areas the frame does not cover, or leaves transparent, then dither to
+   * bare paper rather than to black
+   */
+  clearScratchCanvas() {
+    this.scratch_canvas_context.fillStyle = this.paper_color;
+    this.scratch_canvas_context.fillRect(0, 0, this.eye_width, this.eye_height);
+  }
+
+  /**
+   * Dither the frame currently on the scratch canvas
+   * Sends it to the worker when available, otherwise processes it synchronously
+   * @returns {boolean} False if the worker was busy and the frame was dropped
+   */
+  processFrame() {
+    if (this.workerManager) {
+      return this.workerManager.process(this.scratch_canvas);
+    }
+
+    // Get image data and run the tone and dithering pipeline
     const img_data = this.scratch_canvas_context.getImageData(
       0,
       0,
       this.eye_width,
       this.eye_height,
     );
-    const dithered_data = this.imageProcessor.applyDithering(img_data);
+    const dithered_data = this.imageProcessor.process(img_data);
+    this.displayFrame(dithered_data);
+    return true;
+  }
+
+  /**
+   * Show a dithered frame and announce it
+   * @param {ImageData} dithered_data - Processed frame
+   */
+  displayFrame(dithered_data) {
+    // Skip frames from before a canvas resize
+    if (
+      dithered_data.width !== this.eye_width ||
+      dithered_data.height !== this.eye_height
+    ) {
+      return;
+    }
 
     // Display processed result
     this.final_canvas_context.putImageData(dithered_data, 0, 0);
@@ -507,6 +873,236 @@ class EYE extends HTMLElement {
         detail: dithered_data,
       }),
     );
+
+    if (this.isImageUploaded && this.uploadedImageStale) {
+      this.processUploadedImage();
+    }
+  }
+
+  /**
+   * Apply a setting to the image processor, and to the worker's copy of it
+   * @param {string} method - ImageProcessor setter name (e.g. "setPalette")
+   * @param {...*} args - Arguments for the setter
+   */
+  configureProcessor(method, ...args) {
+    if (!this.imageProcessor) return;
+    this.imageProcessor[method](...args);
+    if (this.workerManager) {
+      this.workerManager.configure(method, ...args);
+    }
+  }
+
+  /**
+   * Parse the palette attribute
+   * Falls back to the default inks when empty, and keeps at most MAX_INKS
+   * @param {string} value - Attribute value
+   * @returns {string[]} Ink colors
+   */
+  parsePaletteAttribute(value) {
+    const inks = parsePalette(value).slice(0, DEFAULT_VALUES.MAX_INKS);
+    return inks.length >= DEFAULT_VALUES.MIN_INKS
+      ? inks
+      : [...DEFAULT_VALUES.PALETTE];
+  }
+
+  /**
+   * Read the legacy color-1 ... color-N attributes over the default inks
+   * @returns {string[]} Ink colors
+   */
+  readLegacyColors() {
+    let inks = [...DEFAULT_VALUES.PALETTE];
+    for (let i = 0; i < DEFAULT_VALUES.MAX_INKS; i++) {
+      const color = this.getAttribute(`color-${i + 1}`);
+      if (color) {
+        inks = this.withInk(inks, i, color);
+      }
+    }
+    return inks;
+  }
+
+  /**
+   * Apply a legacy color-N attribute as ink N
+   * The change goes through the palette attribute like any other ink edit.
+   * Before connecting it is left to connectedCallback, which only reads
+   * these attributes when there is no palette attribute.
+   * @param {number} index - Ink index (0-based)
+   * @param {string} color - Attribute value; removing the attribute keeps the ink
+   */
+  setLegacyColor(index, color) {
+    if (!this.isConnected || !color || index >= DEFAULT_VALUES.MAX_INKS) {
+      return;
+    }
+    if (color !== this.palette[index]) {
+      this.setAttribute(
+        "palette",
+        formatPalette(this.withInk(this.palette, index, color)),
+      );
+    }
+  }
+
+  /**
+   * Copy the inks with one of them replaced
+   * Drums up to the index that do not exist yet are added, cycling through
+   * the default inks.
+   * @param {string[]} inks - Current ink colors
+   * @param {number} index - Ink index (0-based)
+   * @param {string} color - New ink color
+   * @returns {string[]} New ink colors
+   */
+  withInk(inks, index, color) {
+    const updated = Array.from(
+      { length: Math.max(inks.length, index + 1) },
+      (_, i) =>
+        inks[i] || DEFAULT_VALUES.PALETTE[i % DEFAULT_VALUES.PALETTE.length],
+    );
+    updated[index] = color;
+    return updated;
+  }
+
+  /**
+   * Ink weights for a new palette, moved along with their inks
+   * A drum keeps its weight, including when only its color changes, unless
+   * its new ink left another drum: then the ink brings its weight along, so
+   * reordering or removing inks keeps each ink's weight. Added drums start
+   * neutral. Repeated inks are matched in palette order.
+   * @param {string[]} previous - Inks before the change
+   * @param {string[]} inks - Inks after the change
+   * @returns {number[]} Weight per ink of the new palette
+   */
+  moveInkWeights(previous, inks) {
+    const weightOf = (i) => this.ink_weights[i] ?? DEFAULT_VALUES.INK_WEIGHT;
+    // Inks that are no longer on their drum, by their previous drum
+    const moved = previous.map((ink, i) => (ink === inks[i] ? null : ink));
+    return inks.map((ink, i) => {
+      if (ink === previous[i]) return weightOf(i);
+      const from = moved.indexOf(ink);
+      if (from !== -1) {
+        moved[from] = null;
+        return weightOf(from);
+      }
+      return i < previous.length ? weightOf(i) : DEFAULT_VALUES.INK_WEIGHT;
+    });
+  }
+
+  /**
+   * Parse the diffusion-strength attribute
+   * Unlike the image sliders, 0 is a meaningful value here (no diffusion)
+   * @param {string} value - Attribute value
+   * @returns {number} Strength in percent
+   */
+  parseDiffusionStrength(value) {
+    const strength = parseInt(value);
+    return isNaN(strength)
+      ? DEFAULT_VALUES.DIFFUSION_STRENGTH
+      : Math.max(0, Math.min(100, strength));
+  }
+
+  /**
+   * Posterize bands in effect: the posterize-bands attribute, or one evenly
+   * sized band per palette color (darkest first) when it is not set
+   * @returns {{start: number, ink: number}[]} Bands sorted by start
+   */
+  getPosterizeBands() {
+    return (
+      this.posterize_bands ||
+      createDefaultBands(buildPalette(this.palette, this.paper_color))
+    );
+  }
+
+  /**
+   * Read the line art settings from the edge-detector, line-threshold,
+   * line-weight, line-ink and fill-ink attributes
+   * @returns {{detector: string, threshold: number, weight: number, ink: number, fill: number}}
+   *   Line art settings
+   */
+  readLineArtAttributes() {
+    return parseLineArt({
+      detector: this.getAttribute("edge-detector"),
+      threshold: this.getAttribute("line-threshold"),
+      weight: this.getAttribute("line-weight"),
+      ink: this.getAttribute("line-ink"),
+      fill: this.getAttribute("fill-ink"),
+    });
+  }
+
+  /**
+   * Parse the dither-method attribute
+   * Only built-in methods and registered diffusion matrices are accepted;
+   * anything else (such as an unsupported Bayer size) falls back to the
+   * default so it cannot fail on every frame.
+   * @param {string} value - Attribute value
+   * @returns {string} Dither method name
+   */
+  parseDitherMethod(value) {
+    if (!value) {
+      return DEFAULT_VALUES.DITHER_METHOD;
+    }
+    const known =
+      DITHER_METHODS.some((method) => method.value === value) ||
+      Object.hasOwn(this.diffusion_matrices, value);
+    if (!known) {
+      console.warn(
+        `Unknown dither method "${value}", using ${DEFAULT_VALUES.DITHER_METHOD}`,
+      );
+      return DEFAULT_VALUES.DITHER_METHOD;
+    }
+    return value;
+  }
+
+  /**
+   * Parse the error-limit attribute
+   * @param {string} value - Attribute value
+   * @returns {number} Limit in channel levels (0-255)
+   */
+  parseErrorLimit(value) {
+    const limit = parseInt(value);
+    return isNaN(limit)
+      ? DEFAULT_VALUES.ERROR_LIMIT
+      : Math.max(0, Math.min(255, limit));
+  }
+
+  /**
+   * Register a custom error diffusion matrix as a new dither method
+   * The method is added to the dithering dropdown and can be selected by name.
+   *
+   * @param {string} name - Method name (e.g. "sierra-lite")
+   * @param {Object} definition - { label, divisor, matrix } where matrix is a
+   *   list of [x, y, weight] offsets relative to the current pixel
+   * @throws {Error} If the name is reserved or the matrix is invalid
+   */
+  registerDiffusionMatrix(name, definition) {
+    // Validate up front so an invalid matrix never reaches the worker or the UI
+    ImageProcessor.normalizeDiffusionMatrix(definition);
+    this.configureProcessor("registerDiffusionMatrix", name, definition);
+    this.diffusion_matrices[name] = definition;
+    this.uiManager.addDitherMethod(name, definition.label || name);
+  }
+
+  /**
+   * Register every matrix in a JSON object of { name: definition } pairs
+   * Invalid JSON or matrices are reported and skipped
+   * @param {string} json - JSON text
+   * @param {string} source - Where the JSON came from, for error messages
+   */
+  loadDiffusionMatrices(json, source) {
+    let definitions;
+    try {
+      definitions = JSON.parse(json);
+    } catch (error) {
+      console.error(`Invalid diffusion matrix JSON in ${source}:`, error);
+      return;
+    }
+
+    Object.entries(definitions || {}).forEach(([name, definition]) => {
+      try {
+        this.registerDiffusionMatrix(name, definition);
+      } catch (error) {
+        console.error(
+          `Skipping diffusion matrix "${name}" from ${source}:`,
+          error,
+        );
+      }
+    });
   }
 
   /**
@@ -581,12 +1177,7 @@ class EYE extends HTMLElement {
     }
 
     // Copy to scratch canvas with filters applied
-    this.scratch_canvas_context.clearRect(
-      0,
-      0,
-      this.eye_width,
-      this.eye_height,
-    );
+    this.clearScratchCanvas();
 
     // Apply CSS filters during the copy operation
     this.scratch_canvas_context.filter = `saturate(${this.saturation}%) brightness(${this.brightness}%) contrast(${this.contrast}%) hue-rotate(${this.hue}deg)`;
@@ -595,24 +1186,118 @@ class EYE extends HTMLElement {
     // Reset filter to avoid affecting future operations
     this.scratch_canvas_context.filter = "none";
 
-    // Get image data and apply dithering
-    const img_data = this.scratch_canvas_context.getImageData(
+    // A frame dropped by a busy worker is retried once the worker is free
+    this.uploadedImageStale = !this.processFrame();
+  }
+
+  /**
+   * Export the current frame or uploaded image as grayscale separation layers
+   * The final canvas only holds the composite preview, so densities are
+   * computed again from the scratch canvas, in the worker when it runs.
+   */
+  async exportSeparation() {
+    if (!this.scratch_canvas_context) return;
+
+    try {
+      // The worker already holds the separation table for this palette
+      const { layers, width, height } = this.workerManager
+        ? await this.workerManager.separate(this.scratch_canvas)
+        : this.separateFrame();
+      await this.exportManager.exportSeparationLayers(
+        layers,
+        this.palette,
+        width,
+        height,
+      );
+    } catch (error) {
+      console.error("Error exporting separation layers:", error);
+    }
+  }
+
+  /**
+   * Separate the current frame on the main thread, when there is no worker
+   * @returns {{layers: Uint8ClampedArray[], width: number, height: number}}
+   *   One density channel per ink and the frame size
+   */
+  separateFrame() {
+    const frame = this.scratch_canvas_context.getImageData(
       0,
       0,
-      this.eye_width,
-      this.eye_height,
+      this.scratch_canvas.width,
+      this.scratch_canvas.height,
     );
-    const dithered_data = this.imageProcessor.applyDithering(img_data);
+    return {
+      layers: this.imageProcessor.separate(frame),
+      width: frame.width,
+      height: frame.height,
+    };
+  }
 
-    // Display processed result
-    this.final_canvas_context.putImageData(dithered_data, 0, 0);
+  /**
+   * Propose inks from the current frame or uploaded image and apply them
+   * Proposals snap to the ink library when snapping is on; inks the image
+   * has no color for are left unchanged.
+   */
+  applyAutoPalette() {
+    if (!this.scratch_canvas_context) return;
 
-    // Dispatch event with processed data
-    this.dispatchEvent(
-      new CustomEvent(EVENTS.IMAGE_DRAWN, {
-        detail: dithered_data,
-      }),
+    const frame = this.scratch_canvas_context.getImageData(
+      0,
+      0,
+      this.scratch_canvas.width,
+      this.scratch_canvas.height,
     );
+    const proposals = extractPalette(
+      frame,
+      this.palette.length,
+      colorToRgb(this.paper_color),
+    );
+    // Without an ink-library attribute, snap to the built-in riso inks
+    const library =
+      this.ink_library.length > 0
+        ? this.ink_library
+        : RISO_INKS.map(risoInkName);
+    const inks = this.snap_to_library
+      ? snapToLibrary(proposals, library, this.color_metric)
+      : proposals.map(rgbToHex);
+
+    console.log("Auto palette proposed:", inks);
+
+    // One palette update, so the processors rebuild once
+    const palette = this.palette.map((ink, inkIndex) => inks[inkIndex] ?? ink);
+    this.setAttribute("palette", formatPalette(palette));
+  }
+
+  /**
+   * Load inks (and the paper color, if the file has one) from a swatch file
+   * @param {File} file - .gpl, .ase or .json palette file
+   * @returns {Promise<void>}
+   */
+  async importPaletteFile(file) {
+    try {
+      const { inks, paperColor } = parsePaletteFile(
+        file.name,
+        await file.arrayBuffer(),
+      );
+
+      if (inks.length > DEFAULT_VALUES.MAX_INKS) {
+        console.warn(
+          `Palette file has ${inks.length} inks; keeping the first ${DEFAULT_VALUES.MAX_INKS}`,
+        );
+      }
+
+      // The attribute handlers apply the change
+      if (paperColor) {
+        this.setAttribute("paper-color", paperColor);
+      }
+      this.setAttribute(
+        "palette",
+        formatPalette(inks.slice(0, DEFAULT_VALUES.MAX_INKS)),
+      );
+      console.log(`Imported palette from ${file.name}:`, inks);
+    } catch (error) {
+      console.error(`Failed to import palette from ${file.name}:`, error);
+    }
   }
 
   /**
@@ -667,13 +1352,49 @@ class EYE extends HTMLElement {
     this.brightness =
       parseInt(this.getAttribute("brightness")) || DEFAULT_VALUES.BRIGHTNESS;
     this.hue = parseInt(this.getAttribute("hue")) || DEFAULT_VALUES.HUE;
-    this.color1 = this.getAttribute("color-1") || DEFAULT_VALUES.COLOR_1;
-    this.color2 = this.getAttribute("color-2") || DEFAULT_VALUES.COLOR_2;
-    this.color3 = this.getAttribute("color-3") || DEFAULT_VALUES.COLOR_3;
-    this.color4 = this.getAttribute("color-4") || DEFAULT_VALUES.COLOR_4;
-    this.color5 = this.getAttribute("color-5") || DEFAULT_VALUES.COLOR_5;
-    this.dither_method =
-      this.getAttribute("dither-method") || DEFAULT_VALUES.DITHER_METHOD;
+    this.levels = parseLevels(this.getAttribute("levels"));
+    this.curves = parseCurves(this.getAttribute("curves"));
+    this.denoise = parseDenoise(this.getAttribute("denoise"));
+    this.sharpen = parseSharpen(this.getAttribute("sharpen"));
+    this.palette = this.hasAttribute("palette")
+      ? this.parsePaletteAttribute(this.getAttribute("palette"))
+      : this.readLegacyColors();
+    this.ink_weights = parseInkWeights(this.getAttribute("ink-weights"));
+    this.paper_color =
+      this.getAttribute("paper-color") || DEFAULT_VALUES.PAPER_COLOR;
+    this.render_mode =
+      this.getAttribute("render-mode") || DEFAULT_VALUES.RENDER_MODE;
+    this.line_art = this.readLineArtAttributes();
+    this.posterize_channel =
+      this.getAttribute("posterize-channel") ||
+      DEFAULT_VALUES.POSTERIZE_CHANNEL;
+    this.posterize_bands = parsePosterizeBands(
+      this.getAttribute("posterize-bands"),
+    );
+    this.diffusion_strength = this.parseDiffusionStrength(
+      this.getAttribute("diffusion-strength"),
+    );
+    this.error_limit = this.parseErrorLimit(this.getAttribute("error-limit"));
+    this.serpentine = this.hasAttribute("serpentine")
+      ? this.getAttribute("serpentine") !== "false"
+      : DEFAULT_VALUES.SERPENTINE;
+    this.linear_light = this.hasAttribute("linear-light")
+      ? this.getAttribute("linear-light") !== "false"
+      : DEFAULT_VALUES.LINEAR_LIGHT;
+    this.ink_library = parsePalette(this.getAttribute("ink-library"));
+    this.snap_to_library = this.hasAttribute("snap-to-library")
+      ? this.getAttribute("snap-to-library") !== "false"
+      : DEFAULT_VALUES.SNAP_TO_LIBRARY;
+    this.overprint = this.hasAttribute("overprint")
+      ? this.getAttribute("overprint") !== "false"
+      : DEFAULT_VALUES.OVERPRINT;
+    this.color_metric =
+      this.getAttribute("color-metric") || DEFAULT_VALUES.COLOR_METRIC;
+    this.halftone_screens = parseHalftoneScreens(
+      this.getAttribute("halftone-screens"),
+      DEFAULT_VALUES.HALFTONE_SCREENS,
+      this.palette.length,
+    );
     this.width_value =
       parseFloat(this.getAttribute("width-value")) ||
       DEFAULT_VALUES.WIDTH_VALUE;
@@ -682,6 +1403,17 @@ class EYE extends HTMLElement {
       DEFAULT_VALUES.HEIGHT_VALUE;
     this.size_unit = this.getAttribute("size-unit") || DEFAULT_VALUES.SIZE_UNIT;
 
+    // Custom diffusion matrices can also be declared in JSON script children
+    this.querySelectorAll(
+      'script[type="application/json"][data-diffusion-matrices]',
+    ).forEach((script) => {
+      this.loadDiffusionMatrices(script.textContent, "<script> child");
+    });
+    // Read after the matrices so custom methods are recognized
+    this.dither_method = this.parseDitherMethod(
+      this.getAttribute("dither-method"),
+    );
+
     // Calculate initial eye dimensions from width/height values and unit
     this.eye_width = convertToPixels(
       this.width_value,
@@ -707,6 +1439,10 @@ class EYE extends HTMLElement {
     // Cleanup managers
     this.cameraManager.destroy();
     this.imageProcessor = null;
+    if (this.workerManager) {
+      this.workerManager.destroy();
+      this.workerManager = null;
+    }
     this.uiManager.destroy();
     this.exportManager.destroy();
   }
@@ -759,92 +1495,260 @@ class EYE extends HTMLElement {
           this.processUploadedImage();
         }
         break;
-      case "color-1":
-        this.color1 = new_value || DEFAULT_VALUES.COLOR_1;
-        if (this.imageProcessor) {
-          this.imageProcessor.setPalette(
-            this.color1,
-            this.color2,
-            this.color3,
-            this.color4,
-            this.color5,
-          );
+      case "levels":
+        this.levels = parseLevels(new_value);
+        this.configureProcessor("setToneAdjustments", this.levels, this.curves);
+        this.uiManager.updateLevels(this.levels);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "curves":
+        this.curves = parseCurves(new_value);
+        this.configureProcessor("setToneAdjustments", this.levels, this.curves);
+        this.uiManager.updateCurveEditor(this.curves);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
         }
+        break;
+      case "denoise":
+        this.denoise = parseDenoise(new_value);
+        this.configureProcessor("setPreFilters", this.denoise, this.sharpen);
+        this.uiManager.updateFilterControls(this.denoise, this.sharpen);
         // Reprocess uploaded image if one is loaded
         if (this.isImageUploaded) {
           this.processUploadedImage();
         }
         break;
-      case "color-2":
-        this.color2 = new_value || DEFAULT_VALUES.COLOR_2;
-        if (this.imageProcessor) {
-          this.imageProcessor.setPalette(
-            this.color1,
-            this.color2,
-            this.color3,
-            this.color4,
-            this.color5,
-          );
+      case "sharpen":
+        this.sharpen = parseSharpen(new_value);
+        this.configureProcessor("setPreFilters", this.denoise, this.sharpen);
+        this.uiManager.updateFilterControls(this.denoise, this.sharpen);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
         }
+        break;
+      case "palette": {
+        const previous = this.palette;
+        this.palette = this.parsePaletteAttribute(new_value);
+        // Weights follow inks that move between drums; without any set there is nothing to move
+        const weights =
+          this.ink_weights.length > 0
+            ? this.moveInkWeights(previous, this.palette)
+            : this.ink_weights;
+        const weightsMoved =
+          formatInkWeights(weights) !== formatInkWeights(this.ink_weights);
+        this.configureProcessor("setPalette", this.palette, this.paper_color);
+        // Halftone screens follow the number of inks
+        this.halftone_screens = parseHalftoneScreens(
+          this.getAttribute("halftone-screens"),
+          DEFAULT_VALUES.HALFTONE_SCREENS,
+          this.palette.length,
+        );
+        this.configureProcessor(
+          "setHalftoneScreens",
+          this.halftone_screens,
+          this.dpi,
+        );
+        this.uiManager.updateInkCount(this.palette.length);
+        this.uiManager.updateColorPicker(this.palette, weights);
+        this.uiManager.updateHalftoneControls(this.halftone_screens);
+        this.uiManager.updateLineArtControls(
+          this.line_art,
+          this.palette.length,
+        );
+        this.uiManager.updatePosterizeControls(
+          this.posterize_channel,
+          this.getPosterizeBands(),
+          this.palette.length,
+        );
+        if (weightsMoved) {
+          // The ink-weights attribute handler applies them and reprocesses
+          this.setAttribute("ink-weights", formatInkWeights(weights));
+        } else if (this.isImageUploaded) {
+          // Reprocess uploaded image if one is loaded
+          this.processUploadedImage();
+        }
+        break;
+      }
+      case "ink-weights":
+        this.ink_weights = parseInkWeights(new_value);
+        this.configureProcessor("setInkWeights", this.ink_weights);
+        this.uiManager.updateInkWeights(this.ink_weights);
         // Reprocess uploaded image if one is loaded
         if (this.isImageUploaded) {
           this.processUploadedImage();
         }
         break;
-      case "color-3":
-        this.color3 = new_value || DEFAULT_VALUES.COLOR_3;
-        if (this.imageProcessor) {
-          this.imageProcessor.setPalette(
-            this.color1,
-            this.color2,
-            this.color3,
-            this.color4,
-            this.color5,
-          );
+      case "paper-color":
+        this.paper_color = new_value || DEFAULT_VALUES.PAPER_COLOR;
+        this.configureProcessor("setPalette", this.palette, this.paper_color);
+        this.uiManager.updatePaperColor(this.paper_color);
+        // Default posterize bands are ordered by color, paper included
+        this.uiManager.updatePosterizeControls(
+          this.posterize_channel,
+          this.getPosterizeBands(),
+          this.palette.length,
+        );
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
         }
+        break;
+      case "dither-method":
+        // connectedCallback reads it once custom matrices are registered
+        if (!this.isConnected) break;
+        this.dither_method = this.parseDitherMethod(new_value);
+        this.configureProcessor("setDitherMethod", this.dither_method);
+        this.uiManager.updateDitherMethod(this.dither_method);
         // Reprocess uploaded image if one is loaded
         if (this.isImageUploaded) {
           this.processUploadedImage();
         }
         break;
-      case "color-4":
-        this.color4 = new_value || DEFAULT_VALUES.COLOR_4;
-        if (this.imageProcessor) {
-          this.imageProcessor.setPalette(
-            this.color1,
-            this.color2,
-            this.color3,
-            this.color4,
-            this.color5,
-          );
+      case "render-mode":
+        this.render_mode = new_value || DEFAULT_VALUES.RENDER_MODE;
+        this.configureProcessor("setRenderMode", this.render_mode);
+        this.uiManager.updateRenderMode(this.render_mode);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
         }
+        break;
+      case "edge-detector":
+      case "line-threshold":
+      case "line-weight":
+      case "line-ink":
+      case "fill-ink":
+        this.line_art = this.readLineArtAttributes();
+        this.configureProcessor("setLineArt", this.line_art);
+        this.uiManager.updateLineArtControls(
+          this.line_art,
+          this.palette.length,
+        );
         // Reprocess uploaded image if one is loaded
         if (this.isImageUploaded) {
           this.processUploadedImage();
         }
         break;
-      case "color-5":
-        this.color5 = new_value || DEFAULT_VALUES.COLOR_5;
-        if (this.imageProcessor) {
-          this.imageProcessor.setPalette(
-            this.color1,
-            this.color2,
-            this.color3,
-            this.color4,
-            this.color5,
-          );
+      case "posterize-channel":
+      case "posterize-bands":
+        this.posterize_channel =
+          this.getAttribute("posterize-channel") ||
+          DEFAULT_VALUES.POSTERIZE_CHANNEL;
+        this.posterize_bands = parsePosterizeBands(
+          this.getAttribute("posterize-bands"),
+        );
+        this.configureProcessor(
+          "setPosterize",
+          this.posterize_channel,
+          this.posterize_bands,
+        );
+        this.uiManager.updatePosterizeControls(
+          this.posterize_channel,
+          this.getPosterizeBands(),
+          this.palette.length,
+        );
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "diffusion-matrices":
+        if (new_value) {
+          this.loadDiffusionMatrices(new_value, "diffusion-matrices attribute");
         }
         // Reprocess uploaded image if one is loaded
         if (this.isImageUploaded) {
           this.processUploadedImage();
         }
         break;
-      case "dither-method":
-        this.dither_method = new_value || DEFAULT_VALUES.DITHER_METHOD;
-        if (this.imageProcessor) {
-          this.imageProcessor.setDitherMethod(this.dither_method);
+      case "diffusion-strength":
+        this.diffusion_strength = this.parseDiffusionStrength(new_value);
+        this.configureProcessor(
+          "setDiffusionStrength",
+          this.diffusion_strength,
+        );
+        this.uiManager.updateSlider(
+          "diffusion_strength",
+          this.diffusion_strength,
+        );
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
         }
-        this.uiManager.updateDitherMethod(this.dither_method);
+        break;
+      case "error-limit":
+        this.error_limit = this.parseErrorLimit(new_value);
+        this.configureProcessor("setErrorLimit", this.error_limit);
+        this.uiManager.updateSlider("error_limit", this.error_limit);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "serpentine":
+        // Boolean attribute: present (and not "false") enables serpentine scanning
+        this.serpentine = new_value !== null && new_value !== "false";
+        this.configureProcessor("setSerpentine", this.serpentine);
+        this.uiManager.updateSerpentine(this.serpentine);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "linear-light":
+        // Boolean attribute: present (and not "false") diffuses error in linear light
+        this.linear_light = new_value !== null && new_value !== "false";
+        this.configureProcessor("setLinearLight", this.linear_light);
+        this.uiManager.updateLinearLight(this.linear_light);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "ink-library":
+        this.ink_library = parsePalette(new_value);
+        break;
+      case "snap-to-library":
+        // Boolean attribute: present (and not "false") snaps auto palettes
+        this.snap_to_library = new_value !== null && new_value !== "false";
+        this.uiManager.updateSnapToLibrary(this.snap_to_library);
+        break;
+      case "overprint":
+        // Boolean attribute: present (and not "false") lets inks overprint
+        this.overprint = new_value !== null && new_value !== "false";
+        this.configureProcessor("setOverprint", this.overprint);
+        this.uiManager.updateOverprint(this.overprint);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "color-metric":
+        this.color_metric = new_value || DEFAULT_VALUES.COLOR_METRIC;
+        this.configureProcessor("setColorMetric", this.color_metric);
+        this.uiManager.updateColorMetric(this.color_metric);
+        // Reprocess uploaded image if one is loaded
+        if (this.isImageUploaded) {
+          this.processUploadedImage();
+        }
+        break;
+      case "halftone-screens":
+        this.halftone_screens = parseHalftoneScreens(
+          new_value,
+          DEFAULT_VALUES.HALFTONE_SCREENS,
+          this.palette.length,
+        );
+        this.configureProcessor(
+          "setHalftoneScreens",
+          this.halftone_screens,
+          this.dpi,
+        );
+        this.uiManager.updateHalftoneControls(this.halftone_screens);
         // Reprocess uploaded image if one is loaded
         if (this.isImageUploaded) {
           this.processUploadedImage();
@@ -907,9 +1811,16 @@ class EYE extends HTMLElement {
         );
         this.resizeCanvases();
         break;
-      default:
+      default: {
+        // Legacy per-ink attributes (color-1 ... color-N)
+        const legacyColor = /^color-(\d+)$/.exec(name);
+        if (legacyColor) {
+          this.setLegacyColor(parseInt(legacyColor[1]) - 1, new_value);
+          break;
+        }
         // Unhandled attribute
         console.warn(`Unhandled attribute change: ${name}`);
+      }
     }
   }
 }
@@ -3,8 +3,18 @@
  * Manages JPEG capture and PNG layer separation for printing workflows
  */
 
-import { colorToRgb, buildPalette } from "../utils/ColorUtils.js";
-import { DEFAULT_VALUES, EVENTS } from "../utils/Constants.js";
+import {
+  colorToRgb,
+  buildPalette,
+  buildOverprintPalette,
+} from "../utils/ColorUtils.js";
+import {
+  DEFAULT_VALUES,
+  EVENTS,
+  PALETTE_FILE_FORMATS,
+} from "../utils/Constants.js";
+import { serializePalette } from "./PaletteFiles.js";
+import { encodeGrayscalePng } from "./PngEncoder.js";
 
 export class ExportManager {
   constructor() {
@@ -76,23 +86,21 @@ export class ExportManager {
   }
 
   /**
-   * Export risograph layers as separate PNG files
-   * @param {string} color1 - First color
-   * @param {string} color2 - Second color
-   * @param {string} color3 - Third color
-   * @param {string} color4 - Fourth color
-   * @param {string} color5 - Fifth color
+   * Export risograph layers as separate PNG files, one per ink
+   * Pixels in the paper color carry no ink on any layer. With overprint,
+   * a pixel showing an ink combination is inked on each of its inks' layers.
+   * @param {string[]} inks - Ink colors, one per drum
    * @param {number} eyeWidth - Canvas width
    * @param {number} eyeHeight - Canvas height
+   * @param {string} paperColor - Paper stock color
+   * @param {boolean} overprint - Whether the image was dithered to overprint combinations
    */
   async exportRisographLayers(
-    color1,
-    color2,
-    color3,
-    color4,
-    color5,
+    inks,
     eyeWidth,
     eyeHeight,
+    paperColor = DEFAULT_VALUES.PAPER_COLOR,
+    overprint = false,
   ) {
     if (!this.finalCanvas) {
       throw new Error("Export manager not initialized");
@@ -106,10 +114,11 @@ export class ExportManager {
     const height = imageData.height;
 
     // Define the color palette (same as in dithering)
-    const palette = buildPalette(color1, color2, color3, color4, color5);
-    const colorNames = ["white", color1, color2, color3, color4, color5];
+    const palette = buildPalette(inks, paperColor);
+    const colorNames = [paperColor, ...inks];
+    const inkMasks = this.buildInkMasks(palette, overprint);
 
-    // Create 5 layers (skip white/paper layer)
+    // Create one layer per ink (skip paper layer)
     for (let layerIndex = 1; layerIndex < palette.length; layerIndex++) {
       const layerCanvas = document.createElement("canvas");
       layerCanvas.width = width;
@@ -118,21 +127,17 @@ export class ExportManager {
       const layerImageData = layerCtx.createImageData(width, height);
       const layerData = layerImageData.data;
 
-      const targetColor = palette[layerIndex];
+      const layerBit = 1 << (layerIndex - 1);
 
       // Process each pixel
       for (let i = 0; i < data.length; i += 4) {
         const r = data[i];
         const g = data[i + 1];
         const b = data[i + 2];
-        const a = data[i + 3];
-
-        // Check if this pixel matches the target color for this layer
-        if (
-          r === targetColor[0] &&
-          g === targetColor[1] &&
-          b === targetColor[2]
-        ) {
+        const mask = inkMasks.get((r << 16) | (g << 8) | b) || 0;
+
+        // Check if this pixel carries the ink for this layer
+        if (mask & layerBit) {
           // This pixel should have ink - make it black
           layerData[i] = 0; // R
           layerData[i + 1] = 0; // G
@@ -155,7 +160,7 @@ export class ExportManager {
         const url = URL.createObjectURL(blob);
         const link = document.createElement("a");
         link.href = url;
-        link.download = `risograph-layer-${layerIndex}-${colorNames[layerIndex]}.png`;
+        link.download = `risograph-layer-${layerIndex}-${this.fileNamePart(colorNames[layerIndex])}.png`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
@@ -163,7 +168,113 @@ export class ExportManager {
       }, "image/png");
     }
 
-    console.log("Exported 5 risograph layers:", colorNames.slice(1));
+    console.log(
+      `Exported ${inks.length} risograph layers:`,
+      colorNames.slice(1),
+    );
+  }
+
+  /**
+   * Export a grayscale separation as 8-bit grayscale PNG files, one per ink
+   * Black is solid ink and white is none, as a master is made from a
+   * separation; the risograph screens the gray levels itself.
+   * @param {Uint8ClampedArray[]} layers - Ink densities (0-255) from ImageProcessor.separate
+   * @param {string[]} inks - Ink colors, one per drum
+   * @param {number} width - Layer width
+   * @param {number} height - Layer height
+   */
+  async exportSeparationLayers(layers, inks, width, height) {
+    for (let i = 0; i < layers.length; i++) {
+      const gray = layers[i].map((density) => 255 - density);
+      const blob = await encodeGrayscalePng(gray, width, height);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `risograph-separation-${i + 1}-${this.fileNamePart(inks[i])}.png`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }
+
+    console.log(`Exported ${layers.length} separation layers:`, inks);
+  }
+
+  /**
+   * Download the current palette as a swatch file
+   * @param {string[]} inks - Ink colors, one per drum
+   * @param {string} paperColor - Paper stock color
+   * @param {string} format - File format: "gpl", "ase" or "json"
+   */
+  exportPalette(inks, paperColor, format) {
+    const fileFormat = PALETTE_FILE_FORMATS.find((f) => f.value === format);
+    if (!fileFormat) {
+      throw new Error(`Unknown palette file format: ${format}`);
+    }
+
+    const blob = new Blob([serializePalette(format, inks, paperColor)], {
+      type: fileFormat.mimeType,
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `risograph-palette.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    console.log(`Exported palette as .${format}:`, inks);
+  }
+
+  /**
+   * Turn an ink color into something safe to put in a file name
+   * Ink names pass through; anything else ("#ff6c2f", "riso:blue",
+   * "rgb(0, 0, 0)") keeps its letters and digits, joined by hyphens.
+   * @param {string} color - Ink name or CSS color
+   * @returns {string} File name part
+   */
+  fileNamePart(color) {
+    const part = String(color)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+    return part || "ink";
+  }
+
+  /**
+   * Map each color in the dithered image to the inks printed there
+   * Bit i of a mask means ink i + 1. The raw ink colors are always mapped,
+   * since halftone output uses them even with overprint on (on colored paper
+   * they differ from the simulated single-ink colors). Paper is added last so
+   * it takes precedence if an ink (or ink combination) matches the paper color.
+   * @param {number[][]} palette - Paper followed by ink colors
+   * @param {boolean} overprint - Whether ink combinations can appear
+   * @returns {Map<number, number>} Ink mask keyed by packed 0xRRGGBB color
+   */
+  buildInkMasks(palette, overprint) {
+    const pack = ([r, g, b]) => (r << 16) | (g << 8) | b;
+    const inkMasks = new Map();
+
+    palette.slice(1).forEach((ink, i) => {
+      const key = pack(ink);
+      inkMasks.set(key, (inkMasks.get(key) || 0) | (1 << i));
+    });
+
+    if (overprint) {
+      // Simulated combinations win over a raw ink with the same color, and
+      // fewer inks win when two combinations simulate to the same color
+      const combinations = buildOverprintPalette(palette);
+      const inkCount = (mask) => mask.toString(2).replace(/0/g, "").length;
+      combinations
+        .map((color, mask) => mask)
+        .sort((a, b) => inkCount(b) - inkCount(a))
+        .forEach((mask) => inkMasks.set(pack(combinations[mask]), mask));
+    }
+
+    inkMasks.set(pack(palette[0]), 0);
+    return inkMasks;
   }
 
   /**
@@ -0,0 +1,319 @@
+/**
+ * PaletteFiles - Reads and writes swatch files for the ink palette
+ * Supports GIMP palettes (.gpl), Adobe Swatch Exchange (.ase) and JSON
+ */
+
+import {
+  colorToRgb,
+  rgbToHex,
+  labToRgb,
+  findRisoInk,
+  risoInkName,
+} from "../utils/ColorUtils.js";
+
+// Swatch name that marks the paper color in .gpl and .ase files
+const PAPER_SWATCH_NAME = "Paper";
+const PALETTE_NAME = "Crash Camera";
+
+// Adobe Swatch Exchange block types and color types
+const ASE_SIGNATURE = "ASEF";
+const ASE_COLOR_ENTRY = 0x0001;
+const ASE_COLOR_TYPE_NORMAL = 2;
+
+/**
+ * Serialize the palette as a swatch file
+ * The paper comes first, as a swatch named "Paper", followed by the inks.
+ * Riso inks are named by their label, other colors by their value.
+ *
+ * @param {string} format - File format: "gpl", "ase" or "json"
+ * @param {string[]} inks - Ink colors, one per drum
+ * @param {string} paperColor - Paper stock color
+ * @returns {string|ArrayBuffer} File contents (binary for .ase)
+ */
+export function serializePalette(format, inks, paperColor) {
+  if (format === "json") {
+    return JSON.stringify(
+      { name: PALETTE_NAME, paper: paperColor, inks },
+      null,
+      2,
+    );
+  }
+
+  const swatches = [
+    { name: PAPER_SWATCH_NAME, rgb: colorToRgb(paperColor) },
+    ...inks.map((ink) => {
+      const risoInk = findRisoInk(ink);
+      return { name: risoInk ? risoInk.label : ink, rgb: colorToRgb(ink) };
+    }),
+  ];
+
+  if (format === "gpl") {
+    return formatGpl(swatches);
+  }
+  if (format === "ase") {
+    return formatAse(swatches);
+  }
+  throw new Error(`Unknown palette file format: ${format}`);
+}
+
+/**
+ * Parse a swatch file into a palette
+ * The format is taken from the file extension, or detected from the
+ * contents when the extension is not recognized. A swatch named "Paper"
+ * sets the paper color; every other swatch becomes an ink. Swatches named
+ * after a riso ink (with that ink's color) keep the ink name.
+ *
+ * @param {string} fileName - Name of the file, used to pick the format
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{inks: string[], paperColor: string|null}} Parsed palette
+ */
+export function parsePaletteFile(fileName, buffer) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  const bytes = new Uint8Array(buffer);
+  const text = () => new TextDecoder().decode(bytes);
+
+  if (extension === "json") {
+    return parseJson(text());
+  }
+
+  let swatches;
+  if (extension === "ase" || readAscii(bytes, 0, 4) === ASE_SIGNATURE) {
+    swatches = parseAse(buffer);
+  } else if (extension === "gpl" || text().startsWith("GIMP Palette")) {
+    swatches = parseGpl(text());
+  } else {
+    return parseJson(text());
+  }
+
+  let paperColor = null;
+  const inks = [];
+  swatches.forEach(({ name, rgb }) => {
+    if (name.trim().toLowerCase() === PAPER_SWATCH_NAME.toLowerCase()) {
+      paperColor = swatchColor(name, rgb);
+    } else {
+      inks.push(swatchColor(name, rgb));
+    }
+  });
+
+  if (inks.length === 0) {
+    throw new Error("Palette file contains no ink colors");
+  }
+  return { inks, paperColor };
+}
+
+/**
+ * Color value for an imported swatch: the riso ink name when the swatch is
+ * named after an ink and has its color, otherwise the hex value
+ * @param {string} name - Swatch name
+ * @param {number[]} rgb - Swatch color as [r, g, b]
+ * @returns {string} Color for the palette attribute
+ * @private
+ */
+function swatchColor(name, rgb) {
+  const hex = rgbToHex(rgb);
+  const risoInk = findRisoInk(name);
+  return risoInk && risoInk.hex.toLowerCase() === hex
+    ? risoInkName(risoInk)
+    : hex;
+}
+
+/**
+ * Write swatches as a GIMP palette
+ * @param {{name: string, rgb: number[]}[]} swatches - Swatches to write
+ * @returns {string} File contents
+ * @private
+ */
+function formatGpl(swatches) {
+  const lines = ["GIMP Palette", `Name: ${PALETTE_NAME}`, "Columns: 0", "#"];
+  swatches.forEach(({ name, rgb }) => {
+    const channels = rgb.map((value) => String(value).padStart(3)).join(" ");
+    lines.push(`${channels}\t${name}`);
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Read swatches from a GIMP palette
+ * @param {string} text - File contents
+ * @returns {{name: string, rgb: number[]}[]} Swatches in file order
+ * @private
+ */
+function parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0].startsWith("GIMP Palette")) {
+    throw new Error("Not a GIMP palette: missing 'GIMP Palette' header");
+  }
+
+  const swatches = [];
+  lines.slice(1).forEach((line) => {
+    const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+    if (!match) return; // Header fields, comments and blank lines
+    const rgb = match.slice(1, 4).map((value) => Math.min(255, Number(value)));
+    swatches.push({ name: match[4].trim() || rgbToHex(rgb), rgb });
+  });
+  return swatches;
+}
+
+/**
+ * Write swatches as an Adobe Swatch Exchange file (RGB, normal color type)
+ * @param {{name: string, rgb: number[]}[]} swatches - Swatches to write
+ * @returns {ArrayBuffer} File contents
+ * @private
+ */
+function formatAse(swatches) {
+  // Block: name length + UTF-16 name with terminator, model, 3 floats, type
+  const blockLength = (name) => 2 + (name.length + 1) * 2 + 4 + 12 + 2;
+  const size = swatches.reduce(
+    (total, { name }) => total + 6 + blockLength(name),
+    12,
+  );
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+
+  const writeAscii = (value) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset++, value.charCodeAt(i));
+    }
+  };
+
+  writeAscii(ASE_SIGNATURE);
+  view.setUint16(offset, 1); // Version 1.0
+  view.setUint16(offset + 2, 0);
+  view.setUint32(offset + 4, swatches.length);
+  offset += 8;
+
+  swatches.forEach(({ name, rgb }) => {
+    view.setUint16(offset, ASE_COLOR_ENTRY);
+    view.setUint32(offset + 2, blockLength(name));
+    view.setUint16(offset + 6, name.length + 1);
+    offset += 8;
+    for (let i = 0; i < name.length; i++) {
+      view.setUint16(offset, name.charCodeAt(i));
+      offset += 2;
+    }
+    view.setUint16(offset, 0);
+    offset += 2;
+    writeAscii("RGB ");
+    rgb.forEach((value) => {
+      view.setFloat32(offset, value / 255);
+      offset += 4;
+    });
+    view.setUint16(offset, ASE_COLOR_TYPE_NORMAL);
+    offset += 2;
+  });
+
+  return view.buffer;
+}
+
+/**
+ * Read swatches from an Adobe Swatch Exchange file
+ * RGB, CMYK, Lab and Gray swatches are read; groups are flattened.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{name: string, rgb: number[]}[]} Swatches in file order
+ * @private
+ */
+function parseAse(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 12 || readAscii(bytes, 0, 4) !== ASE_SIGNATURE) {
+    throw new Error("Not an Adobe Swatch Exchange file: missing ASEF header");
+  }
+
+  const blockCount = view.getUint32(8);
+  const swatches = [];
+  let offset = 12;
+
+  for (
+    let block = 0;
+    block < blockCount && offset + 6 <= bytes.length;
+    block++
+  ) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+
+    // Group start and end blocks carry no color
+    if (type !== ASE_COLOR_ENTRY) continue;
+
+    const nameLength = view.getUint16(start);
+    let name = "";
+    for (let i = 0; i < nameLength - 1; i++) {
+      name += String.fromCharCode(view.getUint16(start + 2 + i * 2));
+    }
+    let position = start + 2 + nameLength * 2;
+    const model = readAscii(bytes, position, 4).trim();
+    position += 4;
+    const value = (i) => view.getFloat32(position + i * 4);
+
+    let rgb;
+    if (model === "RGB") {
+      rgb = [value(0), value(1), value(2)].map((v) => Math.round(v * 255));
+    } else if (model === "CMYK") {
+      const k = value(3);
+      rgb = [value(0), value(1), value(2)].map((c) =>
+        Math.round(255 * (1 - c) * (1 - k)),
+      );
+    } else if (model === "LAB") {
+      rgb = labToRgb([value(0) * 100, value(1), value(2)]);
+    } else if (model === "Gray") {
+      rgb = new Array(3).fill(Math.round(value(0) * 255));
+    } else {
+      console.warn(`Skipping swatch "${name}" with unsupported model ${model}`);
+      continue;
+    }
+
+    rgb = rgb.map((v) => Math.max(0, Math.min(255, v)));
+    swatches.push({ name: name || rgbToHex(rgb), rgb });
+  }
+
+  return swatches;
+}
+
+/**
+ * Read a JSON palette: { "paper": color, "inks": [color, ...] }
+ * Inks may also be objects with a "color" or "hex" field.
+ * @param {string} text - File contents
+ * @returns {{inks: string[], paperColor: string|null}} Parsed palette
+ * @private
+ */
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Unrecognized palette file: ${error.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data && data.inks;
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON palette must have an "inks" array');
+  }
+
+  const inks = entries
+    .map((entry) =>
+      typeof entry === "string" ? entry : entry && (entry.color || entry.hex),
+    )
+    .filter((ink) => typeof ink === "string" && ink.trim() !== "")
+    .map((ink) => ink.trim());
+
+  if (inks.length === 0) {
+    throw new Error("Palette file contains no ink colors");
+  }
+  return {
+    inks,
+    paperColor: typeof data.paper === "string" ? data.paper : null,
+  };
+}
+
+/**
+ * Read ASCII characters from a byte array
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - First byte
+ * @param {number} length - Number of characters
+ * @returns {string} Decoded text
+ * @private
+ */
+function readAscii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
@@ -0,0 +1,109 @@
+/**
+ * PngEncoder - Writes 8-bit grayscale PNG files
+ * Canvas exports are always RGBA; separation layers need single-channel
+ * grayscale files, so they are encoded here
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const COLOR_TYPE_GRAYSCALE = 0;
+const BIT_DEPTH = 8;
+
+// CRC-32 of each byte value, built on first use
+let crcTable = null;
+
+/**
+ * Encode grayscale pixels as a PNG file
+ * @param {Uint8Array|Uint8ClampedArray} pixels - One gray level per pixel, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<Blob>} PNG image blob
+ */
+export async function encodeGrayscalePng(pixels, width, height) {
+  if (pixels.length !== width * height) {
+    throw new Error(
+      `Expected ${width * height} pixels for ${width}x${height}, got ${pixels.length}`,
+    );
+  }
+
+  // Every row starts with filter type 0 (none)
+  const raw = new Uint8Array((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = BIT_DEPTH;
+  header[9] = COLOR_TYPE_GRAYSCALE;
+  // Bytes 10-12: deflate compression, adaptive filtering, no interlace
+
+  return new Blob(
+    [
+      new Uint8Array(PNG_SIGNATURE),
+      createChunk("IHDR", header),
+      createChunk("IDAT", await deflate(raw)),
+      createChunk("IEND", new Uint8Array(0)),
+    ],
+    { type: "image/png" },
+  );
+}
+
+/**
+ * Compress data in the zlib format PNG expects
+ * @param {Uint8Array} data - Data to compress
+ * @returns {Promise<Uint8Array>} Compressed data
+ * @private
+ */
+async function deflate(data) {
+  const stream = new Response(data).body.pipeThrough(
+    new CompressionStream("deflate"),
+  );
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ * @private
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  // The CRC covers the type and the data
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * CRC-32 checksum as used by PNG
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {number} Unsigned checksum
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,285 @@
+/**
+ * EdgeDetection - Edge maps for the line art render mode
+ * Sobel and Canny detectors working on image luminance, plus line thickening
+ */
+
+import { DEFAULT_VALUES, EDGE_DETECTORS, SLIDER_CONFIGS } from '../utils/Constants.js';
+
+// tan(22.5°): splits gradient directions into horizontal, vertical and diagonals
+const TAN_22_5 = 0.41421356;
+
+/**
+ * Parse line art settings from their attribute values
+ * Missing or invalid values fall back to the defaults.
+ *
+ * @param {Object} values - Attribute values: detector (edge-detector),
+ *   threshold (line-threshold), weight (line-weight), ink (line-ink) and
+ *   fill (fill-ink)
+ * @returns {{detector: string, threshold: number, weight: number, ink: number, fill: number}}
+ *   Line art settings; ink and fill are 1-based ink numbers, fill 0 = no fill
+ */
+export function parseLineArt(values) {
+  const defaults = DEFAULT_VALUES.LINE_ART;
+  const detector = (values.detector || '').trim().toLowerCase();
+  const threshold = parseInt(values.threshold);
+  const weight = parseInt(values.weight);
+  const ink = parseInt(values.ink);
+  const fill = parseInt(values.fill);
+  const clamp = (type, value) => Math.max(SLIDER_CONFIGS[type].min, Math.min(SLIDER_CONFIGS[type].max, value));
+
+  return {
+    detector: EDGE_DETECTORS.some(d => d.value === detector) ? detector : defaults.detector,
+    threshold: isNaN(threshold) ? defaults.threshold : clamp('line_threshold', threshold),
+    weight: isNaN(weight) ? defaults.weight : clamp('line_weight', weight),
+    ink: ink >= 1 ? Math.min(ink, DEFAULT_VALUES.MAX_INKS) : defaults.ink,
+    fill: fill >= 0 ? Math.min(fill, DEFAULT_VALUES.MAX_INKS) : defaults.fill
+  };
+}
+
+/**
+ * Find the edges in an image
+ *
+ * Sobel marks every pixel whose gradient reaches the threshold, which gives
+ * bold lines that follow the image's contrast. Canny smooths the image,
+ * thins the gradient to one-pixel ridges and keeps weak ridges only where
+ * they connect to strong ones (the threshold, with half of it as the weak
+ * limit), which gives clean, continuous outlines.
+ *
+ * @param {ImageData} imageData - Image to analyse
+ * @param {string} detector - 'sobel' or 'canny'
+ * @param {number} threshold - Gradient strength for an edge, in levels (0-255)
+ * @returns {Uint8Array} One entry per pixel, 1 on an edge
+ */
+export function detectEdges(imageData, detector, threshold) {
+  const { width, height } = imageData;
+  let luma = luminance(imageData);
+
+  if (detector === 'canny') {
+    luma = smooth(luma, width, height);
+  }
+  const { magnitude, direction } = gradient(luma, width, height);
+
+  if (detector === 'canny') {
+    const ridges = suppressNonMaxima(magnitude, direction, width, height);
+    return hysteresis(ridges, width, height, threshold / 2, threshold);
+  }
+
+  const edges = new Uint8Array(width * height);
+  for (let p = 0; p < edges.length; p++) {
+    edges[p] = magnitude[p] >= threshold ? 1 : 0;
+  }
+  return edges;
+}
+
+/**
+ * Thicken edges by drawing a disc around every edge pixel
+ * @param {Uint8Array} edges - Edge map from detectEdges
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Extra thickness on each side of a line, in pixels
+ * @returns {Uint8Array} Thickened edge map (the input when radius is 0)
+ */
+export function thickenEdges(edges, width, height, radius) {
+  if (radius <= 0) {
+    return edges;
+  }
+
+  const offsets = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      // r² + r rounds the disc out so radius 1 is a 3×3 square
+      if (dx * dx + dy * dy <= radius * radius + radius) {
+        offsets.push([dx, dy]);
+      }
+    }
+  }
+
+  const thick = new Uint8Array(edges.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!edges[y * width + x]) continue;
+      for (const [dx, dy] of offsets) {
+        const sx = x + dx;
+        const sy = y + dy;
+        if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+          thick[sy * width + sx] = 1;
+        }
+      }
+    }
+  }
+  return thick;
+}
+
+/**
+ * Rec. 709 luminance of every pixel
+ * @param {ImageData} imageData - Source image
+ * @returns {Float32Array} Luminance (0-255) per pixel
+ * @private
+ */
+function luminance(imageData) {
+  const data = imageData.data;
+  const luma = new Float32Array(data.length / 4);
+  for (let p = 0, i = 0; p < luma.length; p++, i += 4) {
+    luma[p] = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+  }
+  return luma;
+}
+
+/**
+ * Smooth luminance with a 5-tap binomial kernel (a close Gaussian fit) so
+ * Canny does not trace sensor noise
+ * @param {Float32Array} luma - Luminance per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} Smoothed luminance
+ * @private
+ */
+function smooth(luma, width, height) {
+  const kernel = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+  const horizontal = new Float32Array(luma.length);
+  const smoothed = new Float32Array(luma.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        const sx = Math.max(0, Math.min(width - 1, x + k));
+        sum += luma[y * width + sx] * kernel[k + 2];
+      }
+      horizontal[y * width + x] = sum;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        const sy = Math.max(0, Math.min(height - 1, y + k));
+        sum += horizontal[sy * width + x] * kernel[k + 2];
+      }
+      smoothed[y * width + x] = sum;
+    }
+  }
+  return smoothed;
+}
+
+/**
+ * Sobel gradient of the luminance
+ *
+ * Magnitudes are divided by 4 (the kernel's weight on each side), so a hard
+ * step from black to white measures 255. Directions are quantized to the four
+ * neighbour axes: 0 horizontal, 1 diagonal down-right, 2 vertical,
+ * 3 diagonal up-right.
+ *
+ * @param {Float32Array} luma - Luminance per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{magnitude: Float32Array, direction: Uint8Array}} Gradient per pixel
+ * @private
+ */
+function gradient(luma, width, height) {
+  const magnitude = new Float32Array(luma.length);
+  const direction = new Uint8Array(luma.length);
+
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(0, y - 1) * width;
+    const row = y * width;
+    const down = Math.min(height - 1, y + 1) * width;
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - 1);
+      const right = Math.min(width - 1, x + 1);
+
+      const gx = (luma[up + right] + 2 * luma[row + right] + luma[down + right]) -
+        (luma[up + left] + 2 * luma[row + left] + luma[down + left]);
+      const gy = (luma[down + left] + 2 * luma[down + x] + luma[down + right]) -
+        (luma[up + left] + 2 * luma[up + x] + luma[up + right]);
+
+      const p = row + x;
+      magnitude[p] = Math.sqrt(gx * gx + gy * gy) / 4;
+
+      const ax = Math.abs(gx);
+      const ay = Math.abs(gy);
+      if (ay <= ax * TAN_22_5) {
+        direction[p] = 0;
+      } else if (ax <= ay * TAN_22_5) {
+        direction[p] = 2;
+      } else {
+        direction[p] = gx * gy > 0 ? 1 : 3;
+      }
+    }
+  }
+
+  return { magnitude, direction };
+}
+
+/**
+ * Keep only gradient ridges: pixels at least as strong as both neighbours
+ * across the edge
+ * @param {Float32Array} magnitude - Gradient magnitude per pixel
+ * @param {Uint8Array} direction - Quantized gradient direction per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} Magnitude on ridges, 0 elsewhere
+ * @private
+ */
+function suppressNonMaxima(magnitude, direction, width, height) {
+  // Neighbour offsets along each quantized gradient direction
+  const steps = [1, width + 1, width, -width + 1];
+  const ridges = new Float32Array(magnitude.length);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      const value = magnitude[p];
+      const step = steps[direction[p]];
+      // Strictly greater on one side so flat-topped ridges stay one pixel wide
+      if (value > magnitude[p - step] && value >= magnitude[p + step]) {
+        ridges[p] = value;
+      }
+    }
+  }
+  return ridges;
+}
+
+/**
+ * Hysteresis thresholding: keep strong ridges and the weak ridges connected
+ * to them
+ * @param {Float32Array} ridges - Ridge magnitudes from suppressNonMaxima
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} low - Weak ridge limit
+ * @param {number} high - Strong ridge limit
+ * @returns {Uint8Array} One entry per pixel, 1 on an edge
+ * @private
+ */
+function hysteresis(ridges, width, height, low, high) {
+  const edges = new Uint8Array(ridges.length);
+  const stack = new Int32Array(ridges.length);
+  let top = 0;
+
+  for (let p = 0; p < ridges.length; p++) {
+    if (ridges[p] >= high && !edges[p]) {
+      edges[p] = 1;
+      stack[top++] = p;
+
+      // Flood out through 8-connected weak ridges
+      while (top > 0) {
+        const q = stack[--top];
+        const qx = q % width;
+        const qy = (q - qx) / width;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = qx + dx;
+            const ny = qy + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            const n = ny * width + nx;
+            if (!edges[n] && ridges[n] >= low) {
+              edges[n] = 1;
+              stack[top++] = n;
+            }
+          }
+        }
+      }
+    }
+  }
+  return edges;
+}
@@ -0,0 +1,293 @@
+/**
+ * Filters - Denoise and sharpen pre-filters applied before dithering
+ * Gaussian blur, median filter and unsharp mask working directly on ImageData
+ * pixels, so live video and uploaded images are filtered the same way
+ */
+
+import { DEFAULT_VALUES, DENOISE_METHODS, SLIDER_CONFIGS } from '../utils/Constants.js';
+
+/**
+ * Parse a denoise attribute such as "median 1" or "gaussian 1.5"
+ * The method is gaussian or median and the radius is in pixels; a radius of 0
+ * turns denoising off. Missing or invalid parts fall back to the defaults.
+ *
+ * @param {string} value - Attribute value
+ * @returns {{method: string, radius: number}} Denoise settings
+ */
+export function parseDenoise(value) {
+  const defaults = DEFAULT_VALUES.DENOISE;
+  const [method, radius] = (value || '').trim().toLowerCase().split(/\s+/);
+  return {
+    method: DENOISE_METHODS.some(m => m.value === method) ? method : defaults.method,
+    radius: clampSetting('denoise_radius', radius, defaults.radius)
+  };
+}
+
+/**
+ * Serialize denoise settings back to the attribute format
+ * @param {{method: string, radius: number}} denoise - Denoise settings
+ * @returns {string} Attribute value
+ */
+export function formatDenoise(denoise) {
+  return `${denoise.method} ${denoise.radius}`;
+}
+
+/**
+ * Parse a sharpen attribute such as "80 1.5 4"
+ * Values are amount (percent), radius (pixels) and threshold (channel levels);
+ * an amount of 0 turns sharpening off. Missing or invalid parts fall back to
+ * the defaults.
+ *
+ * @param {string} value - Attribute value
+ * @returns {{amount: number, radius: number, threshold: number}} Sharpen settings
+ */
+export function parseSharpen(value) {
+  const defaults = DEFAULT_VALUES.SHARPEN;
+  const [amount, radius, threshold] = (value || '').trim().split(/\s+/);
+  return {
+    amount: clampSetting('sharpen_amount', amount, defaults.amount),
+    radius: clampSetting('sharpen_radius', radius, defaults.radius),
+    threshold: clampSetting('sharpen_threshold', threshold, defaults.threshold)
+  };
+}
+
+/**
+ * Serialize sharpen settings back to the attribute format
+ * @param {{amount: number, radius: number, threshold: number}} sharpen - Sharpen settings
+ * @returns {string} Attribute value
+ */
+export function formatSharpen(sharpen) {
+  return `${sharpen.amount} ${sharpen.radius} ${sharpen.threshold}`;
+}
+
+/**
+ * Apply the configured denoise filter in place (nothing happens at radius 0)
+ * @param {ImageData} imageData - Image to filter
+ * @param {{method: string, radius: number}} denoise - Denoise settings
+ * @returns {ImageData} The same image data
+ */
+export function applyDenoise(imageData, denoise) {
+  if (denoise.radius <= 0) {
+    return imageData;
+  }
+  if (denoise.method === 'median') {
+    return medianFilter(imageData, Math.max(1, Math.round(denoise.radius)));
+  }
+  return gaussianBlur(imageData, denoise.radius);
+}
+
+/**
+ * Apply the configured unsharp mask in place (nothing happens at amount 0)
+ * @param {ImageData} imageData - Image to filter
+ * @param {{amount: number, radius: number, threshold: number}} sharpen - Sharpen settings
+ * @returns {ImageData} The same image data
+ */
+export function applySharpen(imageData, sharpen) {
+  if (sharpen.amount <= 0 || sharpen.radius <= 0) {
+    return imageData;
+  }
+  return unsharpMask(imageData, sharpen.amount, sharpen.radius, sharpen.threshold);
+}
+
+/**
+ * Gaussian blur in place
+ * @param {ImageData} imageData - Image to blur
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {ImageData} The same image data
+ */
+export function gaussianBlur(imageData, sigma) {
+  const data = imageData.data;
+  const blurred = blurChannels(data, imageData.width, imageData.height, sigma);
+
+  for (let p = 0, i = 0; i < data.length; p += 3, i += 4) {
+    data[i] = blurred[p];
+    data[i + 1] = blurred[p + 1];
+    data[i + 2] = blurred[p + 2];
+  }
+  return imageData;
+}
+
+/**
+ * Median filter in place
+ *
+ * Uses a sliding histogram per channel (Huang's algorithm): moving one pixel
+ * along a row removes one column of the window and adds another, and the
+ * median is walked from its previous position instead of being re-sorted.
+ * Edges are handled by repeating the border pixels.
+ *
+ * @param {ImageData} imageData - Image to filter
+ * @param {number} radius - Window radius in pixels (window is 2r+1 square)
+ * @returns {ImageData} The same image data
+ */
+export function medianFilter(imageData, radius) {
+  const { data, width, height } = imageData;
+  const source = data.slice();
+  const histogram = new Uint32Array(256);
+  const half = ((2 * radius + 1) * (2 * radius + 1)) >> 1;
+  const clampX = x => (x < 0 ? 0 : x >= width ? width - 1 : x);
+  const clampY = y => (y < 0 ? 0 : y >= height ? height - 1 : y);
+
+  for (let c = 0; c < 3; c++) {
+    for (let y = 0; y < height; y++) {
+      histogram.fill(0);
+      for (let dy = -radius; dy <= radius; dy++) {
+        const row = clampY(y + dy) * width;
+        for (let dx = -radius; dx <= radius; dx++) {
+          histogram[source[(row + clampX(dx)) * 4 + c]]++;
+        }
+      }
+
+      // median is the smallest level with more than `half` values at or below
+      // it; below counts the values strictly under it
+      let median = 0;
+      let below = 0;
+
+      for (let x = 0; x < width; x++) {
+        if (x > 0) {
+          const removeX = clampX(x - radius - 1);
+          const addX = clampX(x + radius);
+          for (let dy = -radius; dy <= radius; dy++) {
+            const row = clampY(y + dy) * width;
+            const removed = source[(row + removeX) * 4 + c];
+            const added = source[(row + addX) * 4 + c];
+            histogram[removed]--;
+            histogram[added]++;
+            if (removed < median) below--;
+            if (added < median) below++;
+          }
+        }
+
+        while (below > half) {
+          median--;
+          below -= histogram[median];
+        }
+        while (below + histogram[median] <= half) {
+          below += histogram[median];
+          median++;
+        }
+
+        data[(y * width + x) * 4 + c] = median;
+      }
+    }
+  }
+
+  return imageData;
+}
+
+/**
+ * Unsharp mask in place
+ * Each channel moves away from its blurred value by `amount` percent of the
+ * difference, but only where that difference reaches the threshold, so flat
+ * areas and sensor noise are left alone.
+ *
+ * @param {ImageData} imageData - Image to sharpen
+ * @param {number} amount - Strength in percent (100 doubles local contrast)
+ * @param {number} radius - Blur radius (Gaussian sigma) in pixels
+ * @param {number} threshold - Minimum difference in channel levels to sharpen
+ * @returns {ImageData} The same image data
+ */
+export function unsharpMask(imageData, amount, radius, threshold) {
+  const data = imageData.data;
+  const blurred = blurChannels(data, imageData.width, imageData.height, radius);
+  const strength = amount / 100;
+
+  for (let p = 0, i = 0; i < data.length; p += 3, i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const difference = data[i + c] - blurred[p + c];
+      if (Math.abs(difference) >= threshold) {
+        data[i + c] = data[i + c] + strength * difference;
+      }
+    }
+  }
+  return imageData;
+}
+
+/**
+ * Separable Gaussian blur of the RGB channels
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {Float32Array} Blurred pixels, 3 values (r, g, b) per pixel
+ * @private
+ */
+function blurChannels(data, width, height, sigma) {
+  const kernel = gaussianKernel(sigma);
+  const radius = (kernel.length - 1) / 2;
+  const horizontal = new Float32Array(width * height * 3);
+  const blurred = new Float32Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = x + k < 0 ? 0 : x + k >= width ? width - 1 : x + k;
+        const i = (y * width + sx) * 4;
+        const weight = kernel[k + radius];
+        r += data[i] * weight;
+        g += data[i + 1] * weight;
+        b += data[i + 2] * weight;
+      }
+      const p = (y * width + x) * 3;
+      horizontal[p] = r;
+      horizontal[p + 1] = g;
+      horizontal[p + 2] = b;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = y + k < 0 ? 0 : y + k >= height ? height - 1 : y + k;
+        const p = (sy * width + x) * 3;
+        const weight = kernel[k + radius];
+        r += horizontal[p] * weight;
+        g += horizontal[p + 1] * weight;
+        b += horizontal[p + 2] * weight;
+      }
+      const p = (y * width + x) * 3;
+      blurred[p] = r;
+      blurred[p + 1] = g;
+      blurred[p + 2] = b;
+    }
+  }
+
+  return blurred;
+}
+
+/**
+ * Normalized 1D Gaussian kernel covering three standard deviations each side
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {Float32Array} Kernel weights summing to 1
+ * @private
+ */
+function gaussianKernel(sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(2 * radius + 1);
+  let sum = 0;
+  for (let k = -radius; k <= radius; k++) {
+    const weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+    kernel[k + radius] = weight;
+    sum += weight;
+  }
+  return kernel.map(weight => weight / sum);
+}
+
+/**
+ * Parse a number and clamp it to a slider's range
+ * @param {string} type - Slider type in SLIDER_CONFIGS
+ * @param {string} value - Value to parse
+ * @param {number} fallback - Value used when parsing fails
+ * @returns {number} Clamped value
+ * @private
+ */
+function clampSetting(type, value, fallback) {
+  const { min, max } = SLIDER_CONFIGS[type];
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : Math.max(min, Math.min(max, parsed));
+}
@@ -0,0 +1,140 @@
+/**
+ * Halftone - Amplitude-modulated (AM) screening helpers
+ * Spot functions, tone linearization and screen parsing for per-ink halftone screens
+ */
+
+import { HALFTONE_DOT_SHAPES } from '../utils/Constants.js';
+
+/**
+ * Spot functions evaluated on a position inside one halftone cell
+ * Coordinates are in the range [-0.5, 0.5); lower values are inked first
+ */
+const SPOT_FUNCTIONS = {
+  round: (u, v) => u * u + v * v,
+  ellipse: (u, v) => u * u + 2.56 * v * v,
+  line: (u, v) => Math.abs(v),
+  square: (u, v) => Math.max(Math.abs(u), Math.abs(v))
+};
+
+const SAMPLES_PER_AXIS = 64;
+const CDF_BINS = 256;
+const spotCache = new Map();
+
+/**
+ * Build a linearized spot function for a dot shape
+ *
+ * Raw spot values do not grow linearly with inked area (a round dot's area
+ * grows with the square of its radius), so the values are remapped through
+ * their cumulative distribution over the cell. A coverage of 0.3 then inks
+ * exactly 30% of every cell, whatever the dot shape.
+ *
+ * @param {string} shape - Dot shape (round, ellipse, line, square)
+ * @returns {Function} Function (u, v) => threshold in [0, 1]
+ * @private
+ */
+function getLinearSpot(shape) {
+  if (spotCache.has(shape)) {
+    return spotCache.get(shape);
+  }
+
+  const spot = SPOT_FUNCTIONS[shape] || SPOT_FUNCTIONS.round;
+  const values = new Float32Array(SAMPLES_PER_AXIS * SAMPLES_PER_AXIS);
+  let max = 0;
+  for (let y = 0; y < SAMPLES_PER_AXIS; y++) {
+    for (let x = 0; x < SAMPLES_PER_AXIS; x++) {
+      const value = spot(
+        (x + 0.5) / SAMPLES_PER_AXIS - 0.5,
+        (y + 0.5) / SAMPLES_PER_AXIS - 0.5
+      );
+      values[y * SAMPLES_PER_AXIS + x] = value;
+      max = Math.max(max, value);
+    }
+  }
+
+  // Cumulative histogram: cdf[bin] = fraction of the cell at or below that value
+  const histogram = new Float32Array(CDF_BINS + 1);
+  values.forEach(value => {
+    histogram[Math.round((value / max) * CDF_BINS)]++;
+  });
+  const cdf = new Float32Array(CDF_BINS + 1);
+  let running = 0;
+  for (let i = 0; i <= CDF_BINS; i++) {
+    // Use the bin midpoint so a bin is half-inked when coverage reaches it
+    cdf[i] = (running + histogram[i] / 2) / values.length;
+    running += histogram[i];
+  }
+
+  // Cell corners can rise above the largest sampled value, so clamp the bin
+  const linearSpot = (u, v) => {
+    const bin = Math.round((spot(u, v) / max) * CDF_BINS);
+    return cdf[Math.max(0, Math.min(CDF_BINS, bin))];
+  };
+  spotCache.set(shape, linearSpot);
+  return linearSpot;
+}
+
+/**
+ * Create a screen sampler for one ink
+ *
+ * @param {{angle: number, lpi: number, shape: string}} screen - Screen settings
+ * @param {number} dpi - Output resolution in dots per inch
+ * @returns {Function} Function (x, y) => threshold in [0, 1] for that pixel
+ */
+export function createScreen(screen, dpi) {
+  const radians = (screen.angle * Math.PI) / 180;
+  // Cell size in pixels; a cell narrower than 2px cannot hold a dot
+  const cellSize = Math.max(2, dpi / screen.lpi);
+  const cos = Math.cos(radians) / cellSize;
+  const sin = Math.sin(radians) / cellSize;
+  const spot = getLinearSpot(screen.shape);
+
+  return (x, y) => {
+    const u = x * cos + y * sin;
+    const v = y * cos - x * sin;
+    return spot(u - Math.floor(u) - 0.5, v - Math.floor(v) - 0.5);
+  };
+}
+
+/**
+ * Parse a halftone screen list such as "45 60 round, 15 60 ellipse"
+ * Each comma-separated entry is "angle lpi shape"; missing parts fall back
+ * to the matching entry in the defaults.
+ *
+ * @param {string} value - Attribute value
+ * @param {Object[]} defaults - Default screens to fill gaps from
+ * @param {number} count - Number of screens to return (default: as many as
+ *   there are entries or defaults, whichever is more)
+ * @returns {Object[]} Array of {angle, lpi, shape} screens
+ */
+export function parseHalftoneScreens(value, defaults, count) {
+  const entries = value ? value.split(',') : [];
+  if (count === undefined) {
+    count = Math.max(entries.length, defaults.length);
+  }
+  const screens = [];
+
+  for (let i = 0; i < count; i++) {
+    const fallback = defaults[i % defaults.length];
+    const [angle, lpi, shape] = (entries[i] || '').trim().split(/\s+/);
+    const parsedAngle = parseFloat(angle);
+    const parsedLpi = parseFloat(lpi);
+    screens.push({
+      angle: isNaN(parsedAngle) ? fallback.angle : parsedAngle,
+      lpi: parsedLpi > 0 ? parsedLpi : fallback.lpi,
+      shape: HALFTONE_DOT_SHAPES.some(s => s.value === shape) ? shape : fallback.shape
+    });
+  }
+
+  return screens;
+}
+
+/**
+ * Serialize halftone screens back to the attribute format
+ * @param {Object[]} screens - Array of {angle, lpi, shape} screens
+ * @returns {string} Attribute value
+ */
+export function formatHalftoneScreens(screens) {
+  return screens
+    .map(screen => `${screen.angle} ${screen.lpi} ${screen.shape}`)
+    .join(', ');
+}
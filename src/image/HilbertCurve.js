@@ -0,0 +1,124 @@
+/**
+ * HilbertCurve - Space-filling scan paths for curve-based dithering (Riemersma)
+ * Paths cover any rectangle, not just power-of-two squares, and are cached per size
+ */
+
+const pathCache = new Map();
+
+/**
+ * Get the pixel visiting order of a generalized Hilbert curve over a rectangle
+ *
+ * Uses the "gilbert" construction: the rectangle is split along its major axis
+ * (or into three blocks along its minor axis) and each part is walked
+ * recursively, so every step moves to a neighbouring pixel and the curve stays
+ * continuous for any width and height. For power-of-two squares the result is
+ * the classic Hilbert curve. A few odd sizes need an occasional diagonal step.
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint32Array} Pixel indices (y * width + x) in curve order
+ */
+export function getHilbertPath(width, height) {
+  const cacheKey = `${width}x${height}`;
+  if (pathCache.has(cacheKey)) {
+    return pathCache.get(cacheKey);
+  }
+
+  const path = new Uint32Array(width * height);
+  let length = 0;
+
+  const visit = (x, y) => {
+    path[length++] = y * width + x;
+  };
+
+  if (width >= height) {
+    walk(0, 0, width, 0, 0, height, visit);
+  } else {
+    walk(0, 0, 0, height, width, 0, visit);
+  }
+
+  // Only the most recent size is kept; canvases rarely change size mid-session
+  pathCache.clear();
+  pathCache.set(cacheKey, path);
+  return path;
+}
+
+/**
+ * Walk one block of the curve
+ *
+ * The block starts at (x, y) and is spanned by the major axis (ax, ay) and the
+ * minor axis (bx, by); exactly one component of each axis vector is non-zero.
+ *
+ * @param {number} x - Start x
+ * @param {number} y - Start y
+ * @param {number} ax - Major axis x component
+ * @param {number} ay - Major axis y component
+ * @param {number} bx - Minor axis x component
+ * @param {number} by - Minor axis y component
+ * @param {Function} visit - Called with (x, y) for every pixel in order
+ * @private
+ */
+function walk(x, y, ax, ay, bx, by, visit) {
+  const w = Math.abs(ax + ay);
+  const h = Math.abs(bx + by);
+
+  // Unit steps along each axis
+  const dax = Math.sign(ax);
+  const day = Math.sign(ay);
+  const dbx = Math.sign(bx);
+  const dby = Math.sign(by);
+
+  if (h === 1) {
+    // Single row: walk straight along the major axis
+    for (let i = 0; i < w; i++) {
+      visit(x, y);
+      x += dax;
+      y += day;
+    }
+    return;
+  }
+
+  if (w === 1) {
+    // Single column: walk straight along the minor axis
+    for (let i = 0; i < h; i++) {
+      visit(x, y);
+      x += dbx;
+      y += dby;
+    }
+    return;
+  }
+
+  let ax2 = Math.floor(ax / 2);
+  let ay2 = Math.floor(ay / 2);
+  let bx2 = Math.floor(bx / 2);
+  let by2 = Math.floor(by / 2);
+  const w2 = Math.abs(ax2 + ay2);
+  const h2 = Math.abs(bx2 + by2);
+
+  if (2 * w > 3 * h) {
+    // Long block: split in two along the major axis, keeping the halves even
+    if (w2 % 2 && w > 2) {
+      ax2 += dax;
+      ay2 += day;
+    }
+    walk(x, y, ax2, ay2, bx, by, visit);
+    walk(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by, visit);
+  } else {
+    // Standard case: one step up, one step along, one step back down
+    if (h2 % 2 && h > 2) {
+      bx2 += dbx;
+      by2 += dby;
+    }
+    walk(x, y, bx2, by2, ax2, ay2, visit);
+    walk(x + bx2, y + by2, ax, ay, bx - bx2, by - by2, visit);
+    walk(
+      x + (ax - dax) + (bx2 - dbx),
+      y + (ay - day) + (by2 - dby),
+      -bx2,
+      -by2,
+      -(ax - ax2),
+      -(ay - ay2),
+      visit
+    );
+  }
+}
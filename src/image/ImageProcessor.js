@@ -3,12 +3,118 @@
  * Converts full-color images to limited color palettes using various algorithms
  */
 
-import { colorToRgb, colorDistance, findClosestColor, buildPalette } from '../utils/ColorUtils.js';
+import {
+  colorToRgb,
+  colorDistance,
+  findClosestColorIndex,
+  buildPalette,
+  buildOverprintPalette,
+  buildPaletteLab,
+  buildColorLookupTable,
+  buildPaletteWeights,
+  srgbToLinear,
+  linearToSrgb
+} from '../utils/ColorUtils.js';
+import { getBayerMatrix, getBlueNoiseMask } from './ThresholdMaps.js';
+import { createScreen } from './Halftone.js';
+import { getHilbertPath } from './HilbertCurve.js';
+import { getOstromoukhovCoefficients } from './Ostromoukhov.js';
+import { buildToneLookup, applyToneLookup } from './ToneCurves.js';
+import { applyDenoise, applySharpen } from './Filters.js';
+import { detectEdges, thickenEdges } from './EdgeDetection.js';
+import { posterize, createDefaultBands } from './Posterize.js';
+import { buildSeparationTable, separateDensities, compositeSeparation } from './Separation.js';
+import { DEFAULT_VALUES, DITHER_METHODS } from '../utils/Constants.js';
+
+// Riemersma error history: number of remembered errors, and the ratio between
+// the weights of the newest and the oldest of them
+const RIEMERSMA_HISTORY = 16;
+const RIEMERSMA_RATIO = 16;
+
+// Knoll pattern dithering: inks in each pixel's mixing plan, and how much of
+// the plan's running error is fed back when picking the next ink
+const KNOLL_PLAN_SIZE = 16;
+const KNOLL_ERROR_MULTIPLIER = 0.75;
+
+// sRGB byte -> linear intensity (scaled to 0-255), built on first use
+let linearTable = null;
+// Linear intensity -> sRGB byte, in ENCODE_STEPS steps over 0-255, built on first use
+const ENCODE_STEPS = 4096;
+let encodeTable = null;
+// Recently used color lookup tables by palette, metric and weights, so
+// switching a setting back reuses its table instead of rebuilding it
+const COLOR_LOOKUP_CACHE_SIZE = 4;
+const colorLookupCache = new Map();
+
+/**
+ * Get the sRGB-to-linear lookup table
+ * @returns {Float32Array} 256 linear intensities scaled to 0-255
+ * @private
+ */
+function getLinearTable() {
+  if (!linearTable) {
+    linearTable = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      linearTable[i] = srgbToLinear(i) * 255;
+    }
+  }
+  return linearTable;
+}
+
+/**
+ * Encode a linear intensity (scaled to 0-255) back to an sRGB byte value
+ * Uses a table fine enough that results are within a level of the exact
+ * conversion, so it is cheap enough to run for every pixel.
+ * @param {number} value - Linear intensity, 0-255 (clamped)
+ * @returns {number} sRGB value, 0-255
+ * @private
+ */
+function encodeLinear(value) {
+  if (!encodeTable) {
+    encodeTable = new Uint8Array(ENCODE_STEPS + 1);
+    for (let i = 0; i <= ENCODE_STEPS; i++) {
+      encodeTable[i] = Math.round(linearToSrgb(i / ENCODE_STEPS));
+    }
+  }
+  const clamped = value < 0 ? 0 : value > 255 ? 255 : value;
+  return encodeTable[(clamped * (ENCODE_STEPS / 255) + 0.5) | 0];
+}
 
 export class ImageProcessor {
   constructor() {
     this.ditherMethod = 'floyd-steinberg';
     this.palette = null;
+    // Colors dithering quantizes to: the palette, or its overprint combinations
+    this.ditherPalette = null;
+    this.overprint = false;
+    // Ink weights in percent, and the resulting weight of each dither palette
+    // color (null when every weight is neutral)
+    this.inkWeights = [];
+    this.ditherWeights = null;
+    this.paletteLab = null;
+    this.colorLookup = null;
+    this.colorMetric = DEFAULT_VALUES.COLOR_METRIC;
+    this.serpentine = false;
+    this.linearLight = false;
+    this.diffusionStrength = 1;
+    this.errorLimit = 255;
+    this.customMatrices = {};
+    this.halftoneScreens = DEFAULT_VALUES.HALFTONE_SCREENS;
+    this.dpi = DEFAULT_VALUES.DPI;
+    this.posterizeChannel = DEFAULT_VALUES.POSTERIZE_CHANNEL;
+    // Bands as {start, ink}; null until setPosterize (then one band per palette color)
+    this.posterizeBands = null;
+    // Levels and curves folded into a lookup table; null leaves pixels as they are
+    this.toneLookup = null;
+    this.denoise = DEFAULT_VALUES.DENOISE;
+    this.sharpen = DEFAULT_VALUES.SHARPEN;
+    this.renderMode = DEFAULT_VALUES.RENDER_MODE;
+    this.lineArt = DEFAULT_VALUES.LINE_ART;
+    // Ink densities for the separation render mode, built on first use per palette
+    this.separationTable = null;
+
+    // Generate the blue-noise mask up front so the first frame doesn't stall
+    this.blueNoiseMask = getBlueNoiseMask();
   }
 
   /**
@@ -19,23 +125,261 @@ export class ImageProcessor {
     this.ditherMethod = method;
   }
 
+  /**
+   * Enable or disable serpentine (boustrophedon) scanning for error diffusion
+   * @param {boolean} enabled - Reverse scan direction on alternate rows
+   */
+  setSerpentine(enabled) {
+    this.serpentine = enabled;
+  }
+
+  /**
+   * Enable or disable linear-light (gamma-correct) error diffusion
+   * When enabled, input and palette are linearized before error is diffused
+   * @param {boolean} enabled - Diffuse error in linear light
+   */
+  setLinearLight(enabled) {
+    this.linearLight = enabled;
+  }
+
+  /**
+   * Set how much of the quantization error is diffused to neighbors
+   * @param {number} percent - 0 (behaves like threshold) to 100 (full diffusion)
+   */
+  setDiffusionStrength(percent) {
+    this.diffusionStrength = Math.max(0, Math.min(100, percent)) / 100;
+  }
+
+  /**
+   * Limit how far accumulated error may move a pixel away from its source value
+   * Low limits stop error from bleeding across hard edges into flat areas
+   * @param {number} limit - Maximum per-channel deviation, 0-255 (255 = unlimited)
+   */
+  setErrorLimit(limit) {
+    this.errorLimit = Math.max(0, Math.min(255, limit));
+  }
+
+  /**
+   * Register a named error diffusion matrix
+   *
+   * Once registered, the name can be used as a dither method like any built-in
+   * kernel. Registering the same name again replaces the previous matrix.
+   *
+   * @param {string} name - Method name used with setDitherMethod
+   * @param {Object} definition - { divisor, matrix } where matrix is a list of
+   *   [x, y, weight] tuples or {x, y, weight} objects; weights are divided by divisor
+   * @throws {Error} If the name is taken by a built-in method or the matrix is invalid
+   */
+  registerDiffusionMatrix(name, definition) {
+    if (!name || DITHER_METHODS.some(method => method.value === name)) {
+      throw new Error(`Cannot register diffusion matrix under reserved name: ${name}`);
+    }
+    this.customMatrices[name] = ImageProcessor.normalizeDiffusionMatrix(definition);
+  }
+
+  /**
+   * Validate a diffusion matrix definition and convert it to {x, y, factor} entries
+   *
+   * Error may only flow to pixels that have not been visited yet: the rest of
+   * the current row (y = 0, x > 0) or any later row (y > 0). Weights must be
+   * non-negative and must not add up to more than the divisor, otherwise error
+   * is amplified and the image blows out.
+   *
+   * @param {Object} definition - { divisor, matrix } (see registerDiffusionMatrix)
+   * @returns {Object[]} Matrix entries as {x, y, factor}
+   * @throws {Error} If the definition is malformed or pushes error backwards
+   */
+  static normalizeDiffusionMatrix(definition) {
+    const divisor = Number(definition && definition.divisor);
+    const entries = definition && definition.matrix;
+
+    if (!(divisor > 0)) {
+      throw new Error('Diffusion matrix divisor must be a positive number');
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Diffusion matrix must contain at least one entry');
+    }
+
+    let total = 0;
+    const matrix = entries.map(entry => {
+      const [x, y, weight] = Array.isArray(entry)
+        ? entry.map(Number)
+        : [Number(entry.x), Number(entry.y), Number(entry.weight)];
+
+      if (!Number.isInteger(x) || !Number.isInteger(y)) {
+        throw new Error(`Diffusion matrix offsets must be integers: ${JSON.stringify(entry)}`);
+      }
+      if (y < 0 || (y === 0 && x <= 0)) {
+        throw new Error(`Diffusion matrix entry pushes error backwards: ${JSON.stringify(entry)}`);
+      }
+      if (!(weight >= 0)) {
+        throw new Error(`Diffusion matrix weights must be non-negative: ${JSON.stringify(entry)}`);
+      }
+
+      total += weight;
+      return { x, y, factor: weight / divisor };
+    });
+
+    if (total > divisor) {
+      throw new Error(`Diffusion matrix weights (${total}) exceed the divisor (${divisor})`);
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Enable or disable overprint simulation
+   * When enabled, a pixel may carry several inks: dithering picks from every
+   * ink combination, each simulated by multiplying the inks over the paper
+   * (see buildOverprintPalette). Output pixels are those simulated colors.
+   * @param {boolean} enabled - Dither to overprint combinations
+   */
+  setOverprint(enabled) {
+    this.overprint = enabled;
+    this._rebuildDitherPalette();
+  }
+
+  /**
+   * Set the color distance metric used for palette lookups
+   * @param {string} metric - 'rgb', 'redmean', 'de76', 'de94' or 'de2000'
+   */
+  setColorMetric(metric) {
+    this.colorMetric = metric;
+    this._resetColorLookup();
+  }
+
+  /**
+   * Set how readily the palette search picks each ink
+   * An ink's distance to a pixel is divided by its weight, so inks above 100
+   * win more pixels and inks below 100 fewer. Applies to every method that
+   * matches pixels to the palette (threshold, ordered and error diffusion).
+   *
+   * @param {number[]} weights - Weight per ink in percent, in palette order;
+   *   missing entries are 100 (neutral)
+   */
+  setInkWeights(weights) {
+    this.inkWeights = weights;
+    this._rebuildDitherPalette();
+  }
+
+  /**
+   * Set the AM halftone screens used by the 'halftone' method
+   * @param {Object[]} screens - One {angle, lpi, shape} screen per ink, in palette order
+   * @param {number} dpi - Output resolution used to size the halftone cells
+   */
+  setHalftoneScreens(screens, dpi = DEFAULT_VALUES.DPI) {
+    this.halftoneScreens = screens;
+    this.dpi = dpi;
+  }
+
+  /**
+   * Set the bands used by the 'posterize' method
+   * @param {string} channel - Source: 'luminance', 'red', 'green' or 'blue'
+   * @param {{start: number, ink: number}[]|null} bands - Bands sorted by start,
+   *   each with its lowest level and ink number (0 = paper); null for one
+   *   evenly sized band per palette color, darkest first
+   */
+  setPosterize(channel, bands) {
+    this.posterizeChannel = channel;
+    this.posterizeBands = bands;
+  }
+
   /**
    * Set the color palette for processing
-   * @param {string} color1 - First ink color
-   * @param {string} color2 - Second ink color
-   * @param {string} color3 - Third ink color
-   * @param {string} color4 - Fourth ink color
-   * @param {string} color5 - Fifth ink color
-   */
-  setPalette(color1, color2, color3, color4, color5) {
-    this.palette = buildPalette(color1, color2, color3, color4, color5);
+   * The paper color becomes palette entry 0, the "no ink" entry
+   * @param {string[]} inks - Ink colors, one per drum
+   * @param {string} paperColor - Paper stock color
+   */
+  setPalette(inks, paperColor = DEFAULT_VALUES.PAPER_COLOR) {
+    this.palette = buildPalette(inks, paperColor);
+    this.separationTable = null;
+    this._rebuildDitherPalette();
     console.log('Palette updated:', {
-      white: 'white',
-      color1, color2, color3, color4, color5,
+      paper: paperColor,
+      inks,
       rgbPalette: this.palette
     });
   }
 
+  /**
+   * Set the levels and curves applied before dithering
+   * @param {{black: number, white: number, gamma: number}} levels - Levels settings
+   * @param {Object} curves - Curve control points keyed by channel (rgb, r, g, b)
+   */
+  setToneAdjustments(levels, curves) {
+    this.toneLookup = buildToneLookup(levels, curves);
+  }
+
+  /**
+   * Set the denoise and sharpen pre-filters
+   * @param {{method: string, radius: number}} denoise - Denoise settings (radius 0 = off)
+   * @param {{amount: number, radius: number, threshold: number}} sharpen - Unsharp
+   *   mask settings (amount 0 = off)
+   */
+  setPreFilters(denoise, sharpen) {
+    this.denoise = denoise;
+    this.sharpen = sharpen;
+  }
+
+  /**
+   * Set the render mode
+   * @param {string} mode - 'dither' (tones dithered to the palette),
+   *   'line-art' (edges drawn in one ink, see applyLineArt) or 'separation'
+   *   (grayscale ink densities, see applySeparation)
+   */
+  setRenderMode(mode) {
+    this.renderMode = mode;
+  }
+
+  /**
+   * Set the line art render mode settings
+   * @param {{detector: string, threshold: number, weight: number, ink: number, fill: number}} settings -
+   *   Edge detector, edge threshold (0-255), extra line thickness in pixels,
+   *   line ink number and fill ink number (1-based, fill 0 = no fill)
+   */
+  setLineArt(settings) {
+    this.lineArt = settings;
+  }
+
+  /**
+   * Run the full pipeline on a frame: denoise, tone adjustments, sharpening,
+   * then dithering (or line art or a separation preview, depending on the
+   * render mode)
+   * Noise is removed before levels can amplify it, and sharpening works on
+   * the final tones. The frame's pixels are modified in place.
+   *
+   * @param {ImageData} imageData - Frame to process
+   * @returns {ImageData} Processed ImageData with colors reduced to palette
+   */
+  process(imageData) {
+    this._adjust(imageData);
+    if (this.renderMode === 'line-art') {
+      return this.applyLineArt(imageData);
+    }
+    if (this.renderMode === 'separation') {
+      return this.applySeparation(imageData);
+    }
+    return this.applyDithering(imageData);
+  }
+
+  /**
+   * Separate a frame into grayscale ink layers
+   * The frame goes through the same denoise, tone and sharpen stages as
+   * process() (its pixels are modified in place) and is then unmixed.
+   *
+   * @param {ImageData} imageData - Frame to separate
+   * @returns {Uint8ClampedArray[]} One density channel per ink, 0 (no ink)
+   *   to 255 (solid), one value per pixel
+   */
+  separate(imageData) {
+    if (!this.palette) {
+      throw new Error('Palette not set. Call setPalette() first.');
+    }
+
+    this._adjust(imageData);
+    return separateDensities(imageData, this._getSeparationTable());
+  }
+
   /**
    * Main dithering function that applies the selected algorithm
    * Converts full-color image data to a limited color palette using dithering
@@ -50,11 +394,135 @@ export class ImageProcessor {
 
     console.log('Dithering with method:', this.ditherMethod);
 
-    // Route to appropriate dithering algorithm
+    return this._ditherWithPalette(imageData, this.ditherPalette, this.palette, this.halftoneScreens);
+  }
+
+  /**
+   * Render a frame as ink lines
+   *
+   * Edges found by the configured detector are thickened and drawn in the
+   * line ink. Without a fill ink the rest of the frame is bare paper. With
+   * one, each pixel is first replaced by the tint of the fill ink that has the
+   * same luminance, and that is dithered with the current method using only
+   * paper and the fill ink; the lines are then drawn on top. With overprint
+   * enabled both inks take their overprint palette colors (each simulated
+   * over the paper), and a line crossing the fill shows the two overprinted.
+   * Every output pixel is paper, an ink or an overprint combination, so the
+   * lines export as their own layer.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @returns {ImageData} Processed image data with lines (and fill)
+   */
+  applyLineArt(imageData) {
+    if (!this.palette) {
+      throw new Error('Palette not set. Call setPalette() first.');
+    }
+
+    const data = imageData.data;
+    const { width, height } = imageData;
+    const inkCount = this.palette.length - 1;
+    const lineInk = Math.min(this.lineArt.ink, inkCount);
+    const fillInk = this.lineArt.fill <= inkCount ? this.lineArt.fill : 0;
+    const paper = this.palette[0];
+    const lineColor = this._inkColor(lineInk);
+    const fillColor = fillInk ? this._inkColor(fillInk) : paper;
+
+    const edges = thickenEdges(
+      detectEdges(imageData, this.lineArt.detector, this.lineArt.threshold),
+      width,
+      height,
+      this.lineArt.weight
+    );
+
+    if (fillInk) {
+      this._tintToInk(imageData, paper, fillColor);
+      const fillPalette = [paper, fillColor];
+      this._ditherWithPalette(imageData, fillPalette, fillPalette, [this.halftoneScreens[fillInk - 1]]);
+    } else {
+      for (let i = 0; i < data.length; i += 4) {
+        this._writePaletteColor(data, i, paper);
+      }
+    }
+
+    // Color of a line drawn over a fill pixel
+    const overprintColor = this.overprint && fillInk && fillInk !== lineInk
+      ? this.ditherPalette[(1 << (lineInk - 1)) | (1 << (fillInk - 1))]
+      : lineColor;
+
+    for (let p = 0, i = 0; p < edges.length; p++, i += 4) {
+      if (!edges[p]) continue;
+      const onFill = fillInk &&
+        data[i] === fillColor[0] && data[i + 1] === fillColor[1] && data[i + 2] === fillColor[2];
+      this._writePaletteColor(data, i, onFill ? overprintColor : lineColor);
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Render a frame as a preview of its grayscale separation
+   *
+   * Each pixel is unmixed into a density for every ink: the coverages whose
+   * linear-light mix over the paper comes closest to the pixel's color (least
+   * squares, densities kept between 0 and 1). The preview shows paper and
+   * inks mixed at those densities, which is roughly how the layers print once
+   * the machine screens them. Overprint is not used: inks always mix.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @returns {ImageData} Composite of the separation
+   */
+  applySeparation(imageData) {
+    if (!this.palette) {
+      throw new Error('Palette not set. Call setPalette() first.');
+    }
+
+    const layers = separateDensities(imageData, this._getSeparationTable());
+    return compositeSeparation(imageData, layers, this.palette);
+  }
+
+  /**
+   * Dither image data to a palette with the current method
+   * @param {ImageData} imageData - Source image data to process
+   * @param {number[][]} palette - Colors to quantize to
+   * @param {number[][]} inkPalette - Paper followed by the inks, for halftoning
+   * @param {Object[]} screens - Halftone screen for each ink in inkPalette
+   * @returns {ImageData} Processed image data
+   * @private
+   */
+  _ditherWithPalette(imageData, palette, inkPalette, screens) {
+    const bayerMatch = /^bayer-(\d+)$/.exec(this.ditherMethod);
+
     if (this.ditherMethod === 'threshold') {
-      return this.applyThresholdDithering(imageData, this.palette);
+      return this.applyThresholdDithering(imageData, palette);
+    } else if (bayerMatch) {
+      const matrix = getBayerMatrix(parseInt(bayerMatch[1]));
+      return this.applyOrderedDithering(imageData, palette, matrix);
+    } else if (this.ditherMethod === 'blue-noise') {
+      return this.applyOrderedDithering(imageData, palette, this.blueNoiseMask);
+    } else if (this.ditherMethod === 'knoll') {
+      return this.applyPatternDithering(imageData, palette, getBayerMatrix(8));
+    } else if (this.ditherMethod === 'halftone') {
+      // Screens are per ink, so halftoning works from the inks, never overprint combinations
+      return this.applyHalftone(imageData, inkPalette, screens, this.dpi);
+    } else if (this.ditherMethod === 'posterize') {
+      // Bands name inks, so posterizing also works from the inks; with
+      // overprint they take their overprint palette colors, which the
+      // preview and layer export use for single inks
+      const bandPalette = inkPalette === this.palette
+        ? inkPalette.map((color, ink) => ink ? this._inkColor(ink) : color)
+        : inkPalette;
+      return posterize(
+        imageData,
+        bandPalette,
+        this.posterizeChannel,
+        this.posterizeBands || createDefaultBands(bandPalette)
+      );
+    } else if (this.ditherMethod === 'riemersma') {
+      return this.applyRiemersmaDithering(imageData, palette);
+    } else if (this.ditherMethod === 'ostromoukhov') {
+      return this.applyVariableCoefficientDithering(imageData, palette);
     } else {
-      return this.applyErrorDiffusionDithering(imageData, this.palette, this.ditherMethod);
+      return this.applyErrorDiffusionDithering(imageData, palette, this.ditherMethod);
     }
   }
 
@@ -78,8 +546,7 @@ export class ImageProcessor {
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const idx = (y * width + x) * 4;
-        const oldPixel = [data[idx], data[idx + 1], data[idx + 2]];
-        const newPixel = findClosestColor(oldPixel, palette);
+        const newPixel = this._matchColor(data[idx], data[idx + 1], data[idx + 2], palette);
 
         // Replace pixel with closest palette color
         data[idx] = newPixel[0];     // R
@@ -92,6 +559,198 @@ export class ImageProcessor {
     return imageData;
   }
 
+  /**
+   * Ordered dithering against a tileable threshold map
+   *
+   * Each pixel is nudged by an offset taken from the threshold map at its
+   * position before snapping to the nearest palette color. Because the offset
+   * only depends on position, the pattern is stable from frame to frame and
+   * does not "crawl" on live video the way error diffusion does.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @param {number[][]} palette - Array of RGB color arrays to quantize to
+   * @param {{size: number, thresholds: Float32Array}} thresholdMap - Normalized threshold map
+   * @returns {ImageData} Processed image data with ordered dithering
+   */
+  applyOrderedDithering(imageData, palette, thresholdMap) {
+    const data = imageData.data;
+    const width = imageData.width;
+    const height = imageData.height;
+    const { size, thresholds } = thresholdMap;
+    const spread = this._getOrderedSpread(palette);
+
+    for (let y = 0; y < height; y++) {
+      const row = (y % size) * size;
+      for (let x = 0; x < width; x++) {
+        const idx = (y * width + x) * 4;
+        // Center the threshold around zero so the average brightness is preserved
+        const offset = (thresholds[row + (x % size)] - 0.5) * spread;
+        const newPixel = this._matchColor(
+          data[idx] + offset,
+          data[idx + 1] + offset,
+          data[idx + 2] + offset,
+          palette
+        );
+
+        data[idx] = newPixel[0];     // R
+        data[idx + 1] = newPixel[1]; // G
+        data[idx + 2] = newPixel[2]; // B
+        // Alpha channel remains unchanged
+      }
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Knoll pattern dithering against a tileable threshold map
+   *
+   * For every pixel a "mixing plan" of KNOLL_PLAN_SIZE inks is built: each ink
+   * is the nearest match to the pixel color plus the error the plan has
+   * accumulated so far, so the plan as a whole averages out to the pixel
+   * color. The plan is sorted from dark to light and the threshold map picks
+   * which of its inks the pixel gets. Unlike ordered dithering with a plain
+   * offset, this mixes any number of inks into a pattern, and like it, the
+   * result only depends on position and is stable on live video.
+   *
+   * Linear light applies (the plan is averaged in linear intensity); diffusion
+   * strength and error limit do not.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @param {number[][]} palette - Array of RGB color arrays to quantize to
+   * @param {{size: number, thresholds: Float32Array}} thresholdMap - Normalized threshold map
+   * @returns {ImageData} Processed image data with pattern dithering
+   */
+  applyPatternDithering(imageData, palette, thresholdMap) {
+    const data = imageData.data;
+    const width = imageData.width;
+    const height = imageData.height;
+    const { size, thresholds } = thresholdMap;
+
+    const work = this._createWorkBuffer(data);
+    const workPalette = this._getWorkPalette(palette);
+
+    // Palette indices ordered dark to light, so a plan can be read in that order
+    const luminance = palette.map(([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b);
+    const darkToLight = palette.map((_, i) => i).sort((a, b) => luminance[a] - luminance[b]);
+
+    // A plan is kept as a count per ink rather than a sorted list
+    const counts = new Uint8Array(palette.length);
+    const attempt = new Float32Array(3);
+
+    for (let y = 0; y < height; y++) {
+      const row = (y % size) * size;
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const w = pixel * 3;
+
+        let errorR = 0;
+        let errorG = 0;
+        let errorB = 0;
+        counts.fill(0);
+        for (let i = 0; i < KNOLL_PLAN_SIZE; i++) {
+          attempt[0] = Math.max(0, Math.min(255, work[w] + errorR * KNOLL_ERROR_MULTIPLIER));
+          attempt[1] = Math.max(0, Math.min(255, work[w + 1] + errorG * KNOLL_ERROR_MULTIPLIER));
+          attempt[2] = Math.max(0, Math.min(255, work[w + 2] + errorB * KNOLL_ERROR_MULTIPLIER));
+
+          const index = this._quantizeWorkPixel(attempt, 0, palette);
+          counts[index]++;
+
+          const target = workPalette[index];
+          errorR += work[w] - target[0];
+          errorG += work[w + 1] - target[1];
+          errorB += work[w + 2] - target[2];
+        }
+
+        // Walk the plan dark to light until reaching the threshold's position in it
+        let position = Math.floor(thresholds[row + (x % size)] * KNOLL_PLAN_SIZE);
+        let choice = 0;
+        for (let i = 0; i < darkToLight.length; i++) {
+          choice = darkToLight[i];
+          position -= counts[choice];
+          if (position < 0) break;
+        }
+        this._writePaletteColor(data, pixel * 4, palette[choice]);
+      }
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Amplitude-modulated halftone screening with one screen per ink
+   *
+   * Each pixel is assigned to the ink whose paper-to-ink line passes closest to
+   * it, and its position along that line gives the ink coverage. The ink's own
+   * screen (angle, LPI, dot shape) then decides whether the pixel falls inside
+   * a dot. Every output pixel is still exactly paper or one ink, so the preview
+   * and the exported layers show the same screened separation.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @param {number[][]} palette - Paper color followed by the ink colors
+   * @param {Object[]} screens - One {angle, lpi, shape} screen per ink
+   * @param {number} dpi - Output resolution used to size the halftone cells
+   * @returns {ImageData} Processed image data with halftone dots
+   */
+  applyHalftone(imageData, palette, screens, dpi) {
+    const data = imageData.data;
+    const width = imageData.width;
+    const height = imageData.height;
+    const paper = palette[0];
+
+    // Precompute each ink's direction away from paper and its screen sampler
+    const inks = palette.slice(1).map((ink, i) => {
+      const direction = [paper[0] - ink[0], paper[1] - ink[1], paper[2] - ink[2]];
+      const lengthSquared =
+        direction[0] * direction[0] + direction[1] * direction[1] + direction[2] * direction[2];
+      return {
+        color: ink,
+        direction,
+        lengthSquared,
+        screen: createScreen(screens[i % screens.length], dpi)
+      };
+    }).filter(ink => ink.lengthSquared > 0);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = (y * width + x) * 4;
+        const dr = paper[0] - data[idx];
+        const dg = paper[1] - data[idx + 1];
+        const db = paper[2] - data[idx + 2];
+
+        // Find the ink that best explains this pixel as a tint over paper
+        let bestInk = null;
+        let bestCoverage = 0;
+        let bestResidual = Infinity;
+        for (const ink of inks) {
+          const d = ink.direction;
+          const coverage = Math.max(0, Math.min(1,
+            (dr * d[0] + dg * d[1] + db * d[2]) / ink.lengthSquared));
+          const rr = dr - coverage * d[0];
+          const rg = dg - coverage * d[1];
+          const rb = db - coverage * d[2];
+          const residual = rr * rr + rg * rg + rb * rb;
+          if (residual < bestResidual) {
+            bestResidual = residual;
+            bestCoverage = coverage;
+            bestInk = ink;
+          }
+        }
+
+        const newPixel = bestInk && bestCoverage > bestInk.screen(x, y)
+          ? bestInk.color
+          : paper;
+
+        data[idx] = newPixel[0];     // R
+        data[idx + 1] = newPixel[1]; // G
+        data[idx + 2] = newPixel[2]; // B
+        // Alpha channel remains unchanged
+      }
+    }
+
+    return imageData;
+  }
+
   /**
    * Advanced error diffusion dithering with multiple algorithm support
    *
@@ -100,6 +759,10 @@ export class ImageProcessor {
    * according to specific patterns. This creates smoother gradients and better preserves
    * image detail compared to simple threshold dithering.
    *
+   * Error is accumulated in a float working buffer rather than in the image's
+   * 8-bit data. In linear-light mode that buffer holds linear intensities, so
+   * error is diffused in physical light and midtones keep their brightness.
+   *
    * @param {ImageData} imageData - Source image data to process
    * @param {number[][]} palette - Array of RGB color arrays to quantize to
    * @param {string} method - Algorithm name (floyd-steinberg, atkinson, etc.)
@@ -116,46 +779,508 @@ export class ImageProcessor {
     // Select diffusion matrix for the chosen algorithm (fallback to Floyd-Steinberg)
     const matrix = diffusionMatrices[method] || diffusionMatrices['floyd-steinberg'];
 
-    // Process pixels from top-left to bottom-right for proper error propagation
+    // Scale every weight by the diffusion strength
+    const strength = this.diffusionStrength;
+    const scaledMatrix = matrix.map(({ x, y, factor }) => ({ x, y, factor: factor * strength }));
+
+    // Mirrored copy for right-to-left rows when scanning serpentine
+    const mirroredMatrix = scaledMatrix.map(({ x, y, factor }) => ({ x: -x, y, factor }));
+
+    const work = this._createWorkBuffer(data);
+    const workPalette = this._getWorkPalette(palette);
+
+    // Keep the untouched source around when accumulated error has to be clamped
+    const limit = this.errorLimit;
+    const source = limit < 255 ? work.slice() : null;
+
+    // Process rows top to bottom; in serpentine mode odd rows run right to left
+    // with the matrix mirrored so error is still pushed ahead of the scan
     for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = (y * width + x) * 4;
-        const oldPixel = [data[idx], data[idx + 1], data[idx + 2]];
-        const newPixel = findClosestColor(oldPixel, palette);
+      const reverse = this.serpentine && y % 2 === 1;
+      const rowMatrix = reverse ? mirroredMatrix : scaledMatrix;
 
-        // Replace pixel with nearest palette color
-        data[idx] = newPixel[0];     // R
-        data[idx + 1] = newPixel[1]; // G
-        data[idx + 2] = newPixel[2]; // B
-        // Alpha channel remains unchanged
+      for (let i = 0; i < width; i++) {
+        const x = reverse ? width - 1 - i : i;
+        const pixel = y * width + x;
+        const w = pixel * 3;
+
+        // Clamp the error accumulated at this pixel to +/- limit around the source
+        if (source) {
+          for (let c = 0; c < 3; c++) {
+            work[w + c] = Math.max(source[w + c] - limit, Math.min(source[w + c] + limit, work[w + c]));
+          }
+        }
+
+        const index = this._quantizeWorkPixel(work, w, palette);
+        this._writePaletteColor(data, pixel * 4, palette[index]);
 
         // Calculate quantization error for each color channel
-        const errorR = oldPixel[0] - newPixel[0];
-        const errorG = oldPixel[1] - newPixel[1];
-        const errorB = oldPixel[2] - newPixel[2];
+        const target = workPalette[index];
+        const errorR = work[w] - target[0];
+        const errorG = work[w + 1] - target[1];
+        const errorB = work[w + 2] - target[2];
 
         // Distribute error to neighboring pixels according to algorithm's matrix
-        matrix.forEach(({ x: dx, y: dy, factor }) => {
+        for (let k = 0; k < rowMatrix.length; k++) {
+          const { x: dx, y: dy, factor } = rowMatrix[k];
           const x2 = x + dx;
           const y2 = y + dy;
 
           // Only distribute to pixels within image bounds
           if (x2 >= 0 && x2 < width && y2 >= 0 && y2 < height) {
-            const idx2 = (y2 * width + x2) * 4;
-            // Add weighted error, clamping to valid RGB range [0, 255]
-            data[idx2] = Math.max(0, Math.min(255, data[idx2] + errorR * factor));
-            data[idx2 + 1] = Math.max(0, Math.min(255, data[idx2 + 1] + errorG * factor));
-            data[idx2 + 2] = Math.max(0, Math.min(255, data[idx2 + 2] + errorB * factor));
+            const w2 = (y2 * width + x2) * 3;
+            // Add weighted error, clamping to the valid range [0, 255]
+            work[w2] = Math.max(0, Math.min(255, work[w2] + errorR * factor));
+            work[w2 + 1] = Math.max(0, Math.min(255, work[w2 + 1] + errorG * factor));
+            work[w2 + 2] = Math.max(0, Math.min(255, work[w2 + 2] + errorB * factor));
+          }
+        }
+      }
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Variable-coefficient error diffusion (Ostromoukhov)
+   *
+   * Error is spread to only three neighbors (right, down-left, down), but the
+   * weights change with the pixel's input intensity, chosen per gray level to
+   * break up the regular textures fixed kernels produce at levels such as
+   * 1/2, 1/3 and 1/4. With a color palette the weights are picked from the
+   * input luminance and the same weights carry all three channels' error;
+   * inks are still chosen with the regular palette search.
+   *
+   * Rows are always scanned serpentine, as the coefficients were tuned for it.
+   * Diffusion strength, error limit and linear light apply as for the
+   * matrix-based methods.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @param {number[][]} palette - Array of RGB color arrays to quantize to
+   * @returns {ImageData} Processed image data with variable-coefficient dithering
+   */
+  applyVariableCoefficientDithering(imageData, palette) {
+    const data = imageData.data;
+    const width = imageData.width;
+    const height = imageData.height;
+    const coefficients = getOstromoukhovCoefficients();
+    const strength = this.diffusionStrength;
+
+    const work = this._createWorkBuffer(data);
+    const workPalette = this._getWorkPalette(palette);
+    const limit = this.errorLimit;
+    const source = limit < 255 ? work.slice() : null;
+
+    // Add a share of the current pixel's error to a neighbor within bounds
+    let errorR = 0;
+    let errorG = 0;
+    let errorB = 0;
+    const spread = (x2, y2, factor) => {
+      if (x2 >= 0 && x2 < width && y2 < height) {
+        const w2 = (y2 * width + x2) * 3;
+        work[w2] = Math.max(0, Math.min(255, work[w2] + errorR * factor));
+        work[w2 + 1] = Math.max(0, Math.min(255, work[w2 + 1] + errorG * factor));
+        work[w2 + 2] = Math.max(0, Math.min(255, work[w2 + 2] + errorB * factor));
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      // Odd rows run right to left, so "right" and "down-left" flip sides
+      const reverse = y % 2 === 1;
+      const dir = reverse ? -1 : 1;
+
+      for (let i = 0; i < width; i++) {
+        const x = reverse ? width - 1 - i : i;
+        const pixel = y * width + x;
+        const idx = pixel * 4;
+        const w = pixel * 3;
+
+        // Coefficients follow the input luminance (Rec. 709), read before the
+        // pixel is overwritten with its ink
+        const level = Math.round(0.2126 * data[idx] + 0.7152 * data[idx + 1] + 0.0722 * data[idx + 2]);
+        const c = level * 3;
+
+        // Clamp the error accumulated at this pixel to +/- limit around the source
+        if (source) {
+          for (let ch = 0; ch < 3; ch++) {
+            work[w + ch] = Math.max(source[w + ch] - limit, Math.min(source[w + ch] + limit, work[w + ch]));
           }
-        });
+        }
+
+        const index = this._quantizeWorkPixel(work, w, palette);
+        this._writePaletteColor(data, idx, palette[index]);
+
+        const target = workPalette[index];
+        errorR = work[w] - target[0];
+        errorG = work[w + 1] - target[1];
+        errorB = work[w + 2] - target[2];
+
+        spread(x + dir, y, coefficients[c] * strength);          // Right (ahead)
+        spread(x - dir, y + 1, coefficients[c + 1] * strength);  // Down-left (behind)
+        spread(x, y + 1, coefficients[c + 2] * strength);        // Down
+      }
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Riemersma dithering along a Hilbert curve
+   *
+   * Pixels are visited in the order of a space-filling curve rather than row
+   * by row. Each pixel is adjusted by a weighted sum of the last
+   * RIEMERSMA_HISTORY quantization errors along the curve, newest weighted
+   * most, so error stays local and carries no scan direction. The result has
+   * none of the diagonal "worms" of raster-order kernels. Because the history
+   * is short, tones within roughly a tenth of the range of an ink snap to it.
+   *
+   * Diffusion strength, error limit and linear light apply as for the
+   * matrix-based methods; serpentine scanning does not, since the curve
+   * already changes direction constantly.
+   *
+   * @param {ImageData} imageData - Source image data to process
+   * @param {number[][]} palette - Array of RGB color arrays to quantize to
+   * @returns {ImageData} Processed image data with Riemersma dithering
+   */
+  applyRiemersmaDithering(imageData, palette) {
+    const data = imageData.data;
+    const path = getHilbertPath(imageData.width, imageData.height);
+
+    const work = this._createWorkBuffer(data);
+    const workPalette = this._getWorkPalette(palette);
+    const limit = this.errorLimit;
+
+    // Weights grow exponentially from 1 / RATIO (oldest) to 1 (newest)
+    const weights = new Float32Array(RIEMERSMA_HISTORY);
+    for (let i = 0; i < RIEMERSMA_HISTORY; i++) {
+      weights[i] = Math.pow(RIEMERSMA_RATIO, i / (RIEMERSMA_HISTORY - 1) - 1) * this.diffusionStrength;
+    }
+
+    // Ring buffer of recent RGB errors; head is the slot of the oldest entry
+    const history = new Float32Array(RIEMERSMA_HISTORY * 3);
+    let head = 0;
+    const adjusted = new Float32Array(3);
+
+    for (let n = 0; n < path.length; n++) {
+      const pixel = path[n];
+      const w = pixel * 3;
+
+      for (let c = 0; c < 3; c++) {
+        // Weighted sum of the remembered errors, oldest first
+        let error = 0;
+        for (let i = 0; i < RIEMERSMA_HISTORY; i++) {
+          error += history[((head + i) % RIEMERSMA_HISTORY) * 3 + c] * weights[i];
+        }
+
+        // Clamp the accumulated error to +/- limit, and the result to [0, 255]
+        error = Math.max(-limit, Math.min(limit, error));
+        adjusted[c] = Math.max(0, Math.min(255, work[w + c] + error));
       }
+
+      const index = this._quantizeWorkPixel(adjusted, 0, palette);
+      this._writePaletteColor(data, pixel * 4, palette[index]);
+
+      // Replace the oldest error with this pixel's: source minus chosen ink
+      const target = workPalette[index];
+      const slot = head * 3;
+      history[slot] = work[w] - target[0];
+      history[slot + 1] = work[w + 1] - target[1];
+      history[slot + 2] = work[w + 2] - target[2];
+      head = (head + 1) % RIEMERSMA_HISTORY;
     }
 
     return imageData;
   }
 
+  /**
+   * Copy the RGB channels of image data into a float working buffer
+   * In linear-light mode the values are linearized (still scaled to 0-255)
+   *
+   * @param {Uint8ClampedArray} data - RGBA pixel data
+   * @returns {Float32Array} RGB working buffer, 3 floats per pixel
+   * @private
+   */
+  _createWorkBuffer(data) {
+    const pixelCount = data.length / 4;
+    const work = new Float32Array(pixelCount * 3);
+    const toLinear = this.linearLight ? getLinearTable() : null;
+
+    for (let p = 0, w = 0; p < data.length; p += 4, w += 3) {
+      if (toLinear) {
+        work[w] = toLinear[data[p]];
+        work[w + 1] = toLinear[data[p + 1]];
+        work[w + 2] = toLinear[data[p + 2]];
+      } else {
+        work[w] = data[p];
+        work[w + 1] = data[p + 1];
+        work[w + 2] = data[p + 2];
+      }
+    }
+
+    return work;
+  }
+
+  /**
+   * Get the palette expressed in the working buffer's color space
+   * @param {number[][]} palette - Array of RGB color arrays
+   * @returns {number[][]} Palette in working space (linear-light or unchanged)
+   * @private
+   */
+  _getWorkPalette(palette) {
+    if (!this.linearLight) {
+      return palette;
+    }
+    const toLinear = getLinearTable();
+    return palette.map(color => color.map(value => toLinear[value]));
+  }
+
+  /**
+   * Choose the palette index for one pixel of a working buffer
+   *
+   * Inks are always chosen in sRGB with the configured metric, so in
+   * linear-light mode the value is encoded back first; either way the match
+   * is a read from the color lookup table.
+   *
+   * @param {Float32Array} work - RGB working buffer
+   * @param {number} w - Offset of the pixel's red channel in the buffer
+   * @param {number[][]} palette - Array of RGB color arrays
+   * @returns {number} Palette index
+   * @private
+   */
+  _quantizeWorkPixel(work, w, palette) {
+    if (!this.linearLight) {
+      return this._matchIndex(work[w], work[w + 1], work[w + 2], palette);
+    }
+    return this._matchIndex(
+      encodeLinear(work[w]),
+      encodeLinear(work[w + 1]),
+      encodeLinear(work[w + 2]),
+      palette
+    );
+  }
+
+  /**
+   * Replace every pixel with the tint of an ink that matches its luminance
+   * Paper-bright pixels become paper, pixels as dark as the ink become solid
+   * ink, and tones between are mixes of the two.
+   *
+   * @param {ImageData} imageData - Image to convert in place
+   * @param {number[]} paper - Paper color as [r, g, b]
+   * @param {number[]} ink - Ink color as [r, g, b]
+   * @private
+   */
+  _tintToInk(imageData, paper, ink) {
+    const data = imageData.data;
+    const luma = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const paperLuma = luma(paper);
+    const range = paperLuma - luma(ink);
+
+    for (let i = 0; i < data.length; i += 4) {
+      const level = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      const coverage = range > 0 ? Math.max(0, Math.min(1, (paperLuma - level) / range)) : 0;
+      data[i] = paper[0] + coverage * (ink[0] - paper[0]);
+      data[i + 1] = paper[1] + coverage * (ink[1] - paper[1]);
+      data[i + 2] = paper[2] + coverage * (ink[2] - paper[2]);
+    }
+  }
+
+  /**
+   * Color an ink prints as on its own
+   * With overprint this is the dither palette's entry for the ink, simulated
+   * over the paper, so every render mode agrees with the dithered preview.
+   * @param {number} ink - Ink number (1 = first ink)
+   * @returns {number[]} Color as [r, g, b] array
+   * @private
+   */
+  _inkColor(ink) {
+    return this.overprint ? this.ditherPalette[1 << (ink - 1)] : this.palette[ink];
+  }
+
+  /**
+   * Write a palette color into RGBA pixel data, leaving alpha unchanged
+   * @param {Uint8ClampedArray} data - RGBA pixel data
+   * @param {number} idx - Offset of the pixel's red channel
+   * @param {number[]} color - Color as [r, g, b] array
+   * @private
+   */
+  _writePaletteColor(data, idx, color) {
+    data[idx] = color[0];     // R
+    data[idx + 1] = color[1]; // G
+    data[idx + 2] = color[2]; // B
+  }
+
+  /**
+   * Find the closest palette color using the configured color metric
+   *
+   * @param {number} r - Red channel (values outside 0-255 are clamped)
+   * @param {number} g - Green channel
+   * @param {number} b - Blue channel
+   * @param {number[][]} palette - Array of RGB color arrays
+   * @returns {number[]} Closest palette color as [r, g, b] array
+   * @private
+   */
+  _matchColor(r, g, b, palette) {
+    return palette[this._matchIndex(r, g, b, palette)];
+  }
+
+  /**
+   * Find the index of the closest palette color using the configured color metric
+   *
+   * Matches against the current dither palette are a single read from the color
+   * lookup table (see buildColorLookupTable for its tolerance), built on first
+   * use; any other palette falls back to the exact search.
+   *
+   * @param {number} r - Red channel (values outside 0-255 are clamped)
+   * @param {number} g - Green channel
+   * @param {number} b - Blue channel
+   * @param {number[][]} palette - Array of RGB color arrays
+   * @returns {number} Palette index
+   * @private
+   */
+  _matchIndex(r, g, b, palette) {
+    if (palette === this.ditherPalette) {
+      const lookup = this.colorLookup || this._getColorLookup();
+      const shift = 8 - DEFAULT_VALUES.COLOR_LOOKUP_BITS;
+      const bits = DEFAULT_VALUES.COLOR_LOOKUP_BITS;
+      const ri = Math.max(0, Math.min(255, r | 0)) >> shift;
+      const gi = Math.max(0, Math.min(255, g | 0)) >> shift;
+      const bi = Math.max(0, Math.min(255, b | 0)) >> shift;
+      return lookup[(ri << (2 * bits)) | (gi << bits) | bi];
+    }
+    return findClosestColorIndex([r, g, b], palette, this.colorMetric, null, this._getMatchWeights(palette));
+  }
+
+  /**
+   * Get the ink weights for a palette being matched against
+   * Only the dither palette is weighted; palettes built for one purpose (such
+   * as the line art fill) are matched as they are.
+   *
+   * @param {number[][]} palette - Array of RGB color arrays
+   * @returns {number[]|null} Weight per palette color, or null
+   * @private
+   */
+  _getMatchWeights(palette) {
+    return palette === this.ditherPalette ? this.ditherWeights : null;
+  }
+
+  /**
+   * Apply the denoise, tone and sharpen stages in place
+   * @param {ImageData} imageData - Frame to adjust
+   * @private
+   */
+  _adjust(imageData) {
+    applyDenoise(imageData, this.denoise);
+    if (this.toneLookup) {
+      applyToneLookup(imageData, this.toneLookup);
+    }
+    applySharpen(imageData, this.sharpen);
+  }
+
+  /**
+   * Get the separation density table for the current palette
+   * @returns {{inkCount: number, densities: Float32Array}} Table from buildSeparationTable
+   * @private
+   */
+  _getSeparationTable() {
+    if (!this.separationTable) {
+      this.separationTable = buildSeparationTable(this.palette);
+    }
+    return this.separationTable;
+  }
+
+  /**
+   * Rebuild the colors dithering quantizes to after the palette, overprint or
+   * ink weight settings change, along with their weights and Lab values
+   * @private
+   */
+  _rebuildDitherPalette() {
+    if (!this.palette) return;
+    this.ditherPalette = this.overprint ? buildOverprintPalette(this.palette) : this.palette;
+    this.ditherWeights = buildPaletteWeights(this.inkWeights, this.palette.length - 1, this.overprint);
+    this.paletteLab = buildPaletteLab(this.ditherPalette);
+    this._resetColorLookup();
+  }
+
+  /**
+   * Drop the nearest-ink lookup table after the palette or metric changes
+   * The table is only built when a frame is matched against it (see
+   * _getColorLookup), so a processor that never dithers, such as the main
+   * thread's while the worker runs, never pays for it.
+   * @private
+   */
+  _resetColorLookup() {
+    this.colorLookup = null;
+  }
+
+  /**
+   * Get the nearest-ink lookup table for the current dither palette and metric
+   * Building it for 256 overprint colors with de2000 takes seconds, so
+   * the last few tables are kept and reused when a setting is switched back.
+   * @returns {Uint8Array} Table from buildColorLookupTable
+   * @private
+   */
+  _getColorLookup() {
+    if (!this.colorLookup) {
+      const key = [
+        this.colorMetric,
+        this.ditherPalette.join(';'),
+        this.ditherWeights ? this.ditherWeights.join(',') : ''
+      ].join('|');
+      let lookup = colorLookupCache.get(key);
+      if (lookup) {
+        // Move it to the back, so the oldest table is evicted first
+        colorLookupCache.delete(key);
+      } else {
+        lookup = buildColorLookupTable(
+          this.ditherPalette,
+          this.colorMetric,
+          DEFAULT_VALUES.COLOR_LOOKUP_BITS,
+          this.paletteLab,
+          this.ditherWeights
+        );
+        if (colorLookupCache.size >= COLOR_LOOKUP_CACHE_SIZE) {
+          colorLookupCache.delete(colorLookupCache.keys().next().value);
+        }
+      }
+      colorLookupCache.set(key, lookup);
+      this.colorLookup = lookup;
+    }
+    return this.colorLookup;
+  }
+
+  /**
+   * Estimate how far ordered dithering should push pixels for a palette
+   *
+   * Uses the average distance between each palette color and its nearest
+   * neighbour, converted to a per-channel offset. A black/white palette gives
+   * the full 0-255 range; denser palettes get a proportionally smaller spread.
+   * A single-color palette has nothing to dither between, so it gets none.
+   *
+   * @param {number[][]} palette - Array of RGB color arrays
+   * @returns {number} Per-channel offset range
+   * @private
+   */
+  _getOrderedSpread(palette) {
+    if (palette.length < 2) {
+      return 0;
+    }
+
+    let total = 0;
+    for (let i = 0; i < palette.length; i++) {
+      let nearest = Infinity;
+      for (let j = 0; j < palette.length; j++) {
+        if (i !== j) {
+          nearest = Math.min(nearest, colorDistance(palette[i], palette[j]));
+        }
+      }
+      total += nearest;
+    }
+    return total / palette.length / Math.sqrt(3);
+  }
+
   /**
    * Get error diffusion matrices for different dithering algorithms
+   * Includes any matrices added with registerDiffusionMatrix
    * @returns {Object} Object containing diffusion matrices for each algorithm
    * @private
    */
@@ -229,7 +1354,9 @@ export class ImageProcessor {
         { x: 0, y: 2, factor: 5/48 },   // Bottom-bottom
         { x: 1, y: 2, factor: 3/48 },   // Bottom-bottom-right
         { x: 2, y: 2, factor: 1/48 }    // Bottom-bottom-right-right
-      ]
+      ],
+      // User-registered matrices (see registerDiffusionMatrix)
+      ...this.customMatrices
     };
   }
 }
@@ -0,0 +1,86 @@
+/**
+ * ImageProcessorWorker - Dedicated worker that runs ImageProcessor off the main thread
+ *
+ * Messages received:
+ * - { type: 'configure', method, args } calls a setter on the worker's processor
+ * - { type: 'process', id, bitmap } runs the processing pipeline on an ImageBitmap frame
+ * - { type: 'separate', id, bitmap } separates an ImageBitmap frame into ink layers
+ *
+ * Messages sent:
+ * - { type: 'processed', id, width, height, buffer } with the dithered pixels
+ *   (the buffer is transferred, not copied)
+ * - { type: 'failed', id, message } when a frame could not be processed
+ * - { type: 'separated', id, width, height, layers } with one density buffer
+ *   per ink (the buffers are transferred)
+ * - { type: 'separate-failed', id, message } when a frame could not be separated
+ * - { type: 'configure-failed', method, message } when a setter threw
+ */
+
+import { ImageProcessor } from './ImageProcessor.js';
+
+const processor = new ImageProcessor();
+let canvas = null;
+let context = null;
+
+/**
+ * Draw a transferred frame onto the worker's OffscreenCanvas and read it back
+ * @param {ImageBitmap} bitmap - Frame to read
+ * @returns {ImageData} Pixel data of the frame
+ */
+function readFrame(bitmap) {
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    context = canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+self.addEventListener('message', (e) => {
+  const message = e.data;
+
+  if (message.type === 'configure') {
+    try {
+      processor[message.method](...message.args);
+    } catch (error) {
+      self.postMessage({ type: 'configure-failed', method: message.method, message: error.message });
+    }
+    return;
+  }
+
+  if (message.type === 'process') {
+    try {
+      const imageData = processor.process(readFrame(message.bitmap));
+      const buffer = imageData.data.buffer;
+      self.postMessage({
+        type: 'processed',
+        id: message.id,
+        width: imageData.width,
+        height: imageData.height,
+        buffer
+      }, [buffer]);
+    } catch (error) {
+      self.postMessage({ type: 'failed', id: message.id, message: error.message });
+    }
+    return;
+  }
+
+  if (message.type === 'separate') {
+    try {
+      const frame = readFrame(message.bitmap);
+      const layers = processor.separate(frame).map(layer => layer.buffer);
+      self.postMessage({
+        type: 'separated',
+        id: message.id,
+        width: frame.width,
+        height: frame.height,
+        layers
+      }, layers);
+    } catch (error) {
+      self.postMessage({ type: 'separate-failed', id: message.id, message: error.message });
+    }
+  }
+});
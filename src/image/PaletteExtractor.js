@@ -0,0 +1,213 @@
+/**
+ * PaletteExtractor - Proposes ink colors from an image
+ * Median-cut quantization refined by a few k-means passes, with optional
+ * snapping of the proposals to a library of available inks
+ */
+
+import { colorDistance, colorToRgb, findClosestColorIndex } from '../utils/ColorUtils.js';
+
+// Pixels sampled from the image; larger frames are read with a stride
+const MAX_SAMPLES = 20000;
+// k-means passes run on the median-cut clusters
+const KMEANS_ITERATIONS = 5;
+
+/**
+ * Propose ink colors for an image
+ *
+ * The sampled pixels are split into one more cluster than there are inks,
+ * and the cluster closest to the paper color is dropped: the paper already
+ * covers those areas. The remaining clusters are returned largest first.
+ * A flat image can yield fewer colors than requested.
+ *
+ * @param {ImageData} imageData - Image to analyse
+ * @param {number} count - Number of inks to propose
+ * @param {number[]} paper - Paper color as [r, g, b]
+ * @returns {number[][]} Proposed ink colors as [r, g, b] arrays
+ */
+export function extractPalette(imageData, count, paper) {
+  const samples = samplePixels(imageData);
+  if (samples.length === 0) {
+    return [];
+  }
+
+  const clusters = refineClusters(samples, medianCut(samples, count + 1));
+
+  let paperIndex = 0;
+  clusters.forEach((cluster, i) => {
+    if (colorDistance(cluster.color, paper) < colorDistance(clusters[paperIndex].color, paper)) {
+      paperIndex = i;
+    }
+  });
+
+  return clusters
+    .filter((cluster, i) => i !== paperIndex && cluster.size > 0)
+    .sort((a, b) => b.size - a.size)
+    .slice(0, count)
+    .map(cluster => cluster.color.map(Math.round));
+}
+
+/**
+ * Replace proposed colors with the closest inks from a library
+ * Each library ink is used at most once while any are left unused.
+ *
+ * @param {number[][]} colors - Proposed colors as [r, g, b] arrays
+ * @param {string[]} library - Available ink colors (any CSS color)
+ * @param {string} metric - Color distance metric (see findClosestColor)
+ * @returns {string[]} Library entries in the order of the proposals
+ */
+export function snapToLibrary(colors, library, metric = 'rgb') {
+  const libraryRgb = library.map(colorToRgb);
+  let available = library.map((ink, i) => i);
+
+  return colors.map(color => {
+    if (available.length === 0) {
+      available = library.map((ink, i) => i);
+    }
+    const closest = findClosestColorIndex(
+      color,
+      available.map(i => libraryRgb[i]),
+      metric
+    );
+    const [libraryIndex] = available.splice(closest, 1);
+    return library[libraryIndex];
+  });
+}
+
+/**
+ * Read up to MAX_SAMPLES opaque pixels, evenly spread over the image
+ * @param {ImageData} imageData - Image to sample
+ * @returns {number[][]} Sampled colors as [r, g, b] arrays
+ * @private
+ */
+function samplePixels(imageData) {
+  const data = imageData.data;
+  const pixelCount = data.length / 4;
+  const stride = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+  const samples = [];
+
+  for (let p = 0; p < pixelCount; p += stride) {
+    const i = p * 4;
+    if (data[i + 3] > 0) {
+      samples.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Split the samples into boxes, median-cut style
+ *
+ * The box with the largest squared error along one channel is split in two
+ * at the mean of that channel. Splitting the worst box at its mean (rather
+ * than always halving the sample count) keeps a large flat area in a single
+ * box instead of cutting it into several near-identical ones.
+ *
+ * @param {number[][]} samples - Colors to split
+ * @param {number} count - Number of boxes wanted
+ * @returns {number[][][]} Boxes of samples
+ * @private
+ */
+function medianCut(samples, count) {
+  const boxes = [samples];
+
+  while (boxes.length < count) {
+    let worst = null;
+    boxes.forEach((box, i) => {
+      const { channel, mean, error } = worstChannel(box);
+      if (error > 0 && (!worst || error > worst.error)) {
+        worst = { index: i, channel, mean, error };
+      }
+    });
+
+    // Every box holds a single color
+    if (!worst) break;
+
+    const below = [];
+    const above = [];
+    boxes[worst.index].forEach(color => {
+      (color[worst.channel] <= worst.mean ? below : above).push(color);
+    });
+    boxes.splice(worst.index, 1, below, above);
+  }
+
+  return boxes;
+}
+
+/**
+ * Find the channel with the largest squared error in a box
+ * @param {number[][]} box - Colors in the box
+ * @returns {{channel: number, mean: number, error: number}} Channel index,
+ *   its mean value and the sum of squared differences from that mean
+ * @private
+ */
+function worstChannel(box) {
+  const sum = [0, 0, 0];
+  const sumSquares = [0, 0, 0];
+  box.forEach(color => {
+    for (let c = 0; c < 3; c++) {
+      sum[c] += color[c];
+      sumSquares[c] += color[c] * color[c];
+    }
+  });
+
+  let worst = { channel: 0, mean: 0, error: -1 };
+  for (let c = 0; c < 3; c++) {
+    const mean = sum[c] / box.length;
+    const error = sumSquares[c] - sum[c] * mean;
+    if (error > worst.error) {
+      worst = { channel: c, mean, error };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Move the box averages to better cluster centers with k-means passes
+ * @param {number[][]} samples - All sampled colors
+ * @param {number[][][]} boxes - Median-cut boxes to start from
+ * @returns {{color: number[], size: number}[]} Cluster centers and sample counts
+ * @private
+ */
+function refineClusters(samples, boxes) {
+  const clusters = boxes.map(box => ({ color: average(box), size: box.length }));
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const sums = clusters.map(() => [0, 0, 0, 0]);
+    const centers = clusters.map(cluster => cluster.color);
+
+    samples.forEach(color => {
+      const sum = sums[findClosestColorIndex(color, centers)];
+      sum[0] += color[0];
+      sum[1] += color[1];
+      sum[2] += color[2];
+      sum[3]++;
+    });
+
+    // An empty cluster keeps its previous center
+    sums.forEach(([r, g, b, size], i) => {
+      clusters[i].size = size;
+      if (size > 0) {
+        clusters[i].color = [r / size, g / size, b / size];
+      }
+    });
+  }
+
+  return clusters;
+}
+
+/**
+ * Mean color of a set of samples
+ * @param {number[][]} colors - Colors to average
+ * @returns {number[]} Average as [r, g, b]
+ * @private
+ */
+function average(colors) {
+  const sum = [0, 0, 0];
+  colors.forEach(color => {
+    sum[0] += color[0];
+    sum[1] += color[1];
+    sum[2] += color[2];
+  });
+  return sum.map(value => value / colors.length);
+}
@@ -0,0 +1,116 @@
+/**
+ * Posterize - Flat tone bands mapped to inks
+ * Splits luminance or one color channel into bands and prints each band in a
+ * single ink (or leaves it as paper), with no dither texture
+ */
+
+import { DEFAULT_VALUES } from '../utils/Constants.js';
+
+// Offset of each single-channel source within an RGBA pixel
+const CHANNEL_OFFSETS = { red: 0, green: 1, blue: 2 };
+
+/**
+ * Parse a posterize-bands attribute such as "0 1, 80 2, 160 paper"
+ * Each comma-separated entry is "start ink": the band covers levels from its
+ * start up to the next band's start, and ink is a 1-based ink number or
+ * "paper" (0 also means paper). The first band always starts at 0.
+ *
+ * @param {string} value - Attribute value
+ * @returns {{start: number, ink: number}[]|null} Bands sorted by start, or null
+ *   when the value holds fewer than two valid bands
+ */
+export function parsePosterizeBands(value) {
+  const bands = (value || '').split(',')
+    .map(entry => entry.trim().toLowerCase().split(/\s+/))
+    .map(([start, ink]) => ({
+      start: parseInt(start),
+      ink: ink === 'paper' ? 0 : parseInt(ink)
+    }))
+    .filter(band => !isNaN(band.start) && band.ink >= 0)
+    .map(band => ({
+      start: Math.max(0, Math.min(255, band.start)),
+      ink: Math.min(band.ink, DEFAULT_VALUES.MAX_INKS)
+    }))
+    .sort((a, b) => a.start - b.start)
+    // Bands sharing a start would be empty; the last one listed wins
+    .filter((band, i, sorted) => i === sorted.length - 1 || sorted[i + 1].start !== band.start)
+    .slice(0, DEFAULT_VALUES.MAX_POSTERIZE_BANDS);
+
+  if (bands.length < 2) {
+    return null;
+  }
+  bands[0].start = 0;
+  return bands;
+}
+
+/**
+ * Serialize bands back to the attribute format
+ * @param {{start: number, ink: number}[]} bands - Bands sorted by start
+ * @returns {string} Attribute value
+ */
+export function formatPosterizeBands(bands) {
+  return bands.map(band => `${band.start} ${band.ink === 0 ? 'paper' : band.ink}`).join(', ');
+}
+
+/**
+ * Default bands for a palette: one evenly sized band per ink and one for the
+ * paper, ordered from the darkest color to the lightest
+ * @param {number[][]} palette - Paper followed by ink colors (see buildPalette)
+ * @returns {{start: number, ink: number}[]} Bands sorted by start
+ */
+export function createDefaultBands(palette) {
+  return palette
+    .map((color, index) => ({ index, luma: luminance(color) }))
+    .sort((a, b) => a.luma - b.luma)
+    .map(({ index }, i) => ({
+      start: Math.round((i * 256) / palette.length),
+      ink: index
+    }));
+}
+
+/**
+ * Posterize image data in place
+ *
+ * Inks past the end of the palette use its last ink, so a two-color palette
+ * (paper and one ink) prints every inked band in that ink.
+ *
+ * @param {ImageData} imageData - Image to posterize
+ * @param {number[][]} palette - Paper followed by ink colors
+ * @param {string} channel - 'luminance', 'red', 'green' or 'blue'
+ * @param {{start: number, ink: number}[]} bands - Bands sorted by start
+ * @returns {ImageData} The same image data
+ */
+export function posterize(imageData, palette, channel, bands) {
+  const data = imageData.data;
+
+  // Palette color for every level of the chosen channel
+  const levelColors = new Array(256);
+  let band = 0;
+  for (let level = 0; level < 256; level++) {
+    while (band < bands.length - 1 && bands[band + 1].start <= level) band++;
+    levelColors[level] = palette[Math.min(bands[band].ink, palette.length - 1)];
+  }
+
+  const offset = CHANNEL_OFFSETS[channel];
+  for (let i = 0; i < data.length; i += 4) {
+    const level = offset !== undefined
+      ? data[i + offset]
+      : Math.round(luminance([data[i], data[i + 1], data[i + 2]]));
+    const color = levelColors[level];
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+  }
+
+  return imageData;
+}
+
+/**
+ * Rec. 709 luminance of a color
+ * @param {number[]} rgb - Color as [r, g, b]
+ * @returns {number} Luminance (0-255)
+ * @private
+ */
+function luminance([r, g, b]) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
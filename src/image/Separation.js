@@ -0,0 +1,215 @@
+/**
+ * Separation - Unmixes an image into grayscale ink density channels
+ * Each pixel is modelled as paper plus a coverage of every ink, mixed in linear
+ * light the way screened dots mix, and the coverages are found by
+ * least squares against the ink colors
+ */
+
+import { srgbToLinear, linearToSrgb } from '../utils/ColorUtils.js';
+
+// Nodes per axis of the density table (every 255/32 levels of sRGB)
+const GRID_SIZE = 33;
+// Penalty on total ink: when several mixes match a color equally well (more
+// inks than channels), the one using the least ink wins, so a pure ink color
+// stays one ink and neutrals go to the darkest ink
+const INK_PENALTY = 1e-3;
+// Tiny ridge weight so inks matching the paper still give a solvable system
+const RIDGE = 1e-6;
+// Coordinate descent stops after this many sweeps, or once densities settle
+const MAX_SWEEPS = 100;
+const TOLERANCE = 1e-5;
+
+/**
+ * Solve ink densities for a grid of colors covering the RGB cube
+ *
+ * Solving a bounded least-squares problem for every pixel would be slow, so
+ * densities are solved once per palette at the grid nodes and interpolated
+ * between them (see separateDensities).
+ *
+ * @param {number[][]} palette - Paper followed by ink colors (see buildPalette)
+ * @returns {{inkCount: number, densities: Float32Array}} Densities (0-1) for
+ *   each node, inkCount values per node, red-major
+ */
+export function buildSeparationTable(palette) {
+  const [paper, ...inks] = palette.map(color => color.map(srgbToLinear));
+  const n = inks.length;
+
+  // Ink directions away from paper, and the normal equations' matrix
+  const columns = inks.map(ink => [ink[0] - paper[0], ink[1] - paper[1], ink[2] - paper[2]]);
+  const gram = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      gram[i * n + j] = dot(columns[i], columns[j]) + (i === j ? RIDGE : 0);
+    }
+  }
+
+  const nodeLinear = [];
+  for (let k = 0; k < GRID_SIZE; k++) {
+    nodeLinear.push(srgbToLinear((k * 255) / (GRID_SIZE - 1)));
+  }
+
+  const densities = new Float32Array(GRID_SIZE * GRID_SIZE * GRID_SIZE * n);
+  // Warm start: neighbouring nodes have similar solutions
+  const d = new Float64Array(n);
+  const b = new Float64Array(n);
+  const gd = new Float64Array(n);
+
+  for (let ri = 0; ri < GRID_SIZE; ri++) {
+    for (let gi = 0; gi < GRID_SIZE; gi++) {
+      for (let bi = 0; bi < GRID_SIZE; bi++) {
+        const target = [
+          nodeLinear[ri] - paper[0],
+          nodeLinear[gi] - paper[1],
+          nodeLinear[bi] - paper[2]
+        ];
+        for (let i = 0; i < n; i++) {
+          b[i] = dot(columns[i], target);
+        }
+        solveBounded(gram, b, d, gd, n);
+        densities.set(d, ((ri * GRID_SIZE + gi) * GRID_SIZE + bi) * n);
+      }
+    }
+  }
+
+  return { inkCount: n, densities };
+}
+
+/**
+ * Ink densities for every pixel of an image
+ * @param {ImageData} imageData - Image to separate
+ * @param {{inkCount: number, densities: Float32Array}} table - Table from buildSeparationTable
+ * @returns {Uint8ClampedArray[]} One channel per ink, 0 (no ink) to 255 (solid)
+ */
+export function separateDensities(imageData, table) {
+  const data = imageData.data;
+  const { inkCount: n, densities } = table;
+  const pixelCount = data.length / 4;
+  const layers = [];
+  for (let i = 0; i < n; i++) {
+    layers.push(new Uint8ClampedArray(pixelCount));
+  }
+
+  const scale = (GRID_SIZE - 1) / 255;
+  const strideG = GRID_SIZE * n;
+  const strideR = GRID_SIZE * strideG;
+  const weights = new Float32Array(8);
+  const corners = new Int32Array(8);
+
+  for (let p = 0, idx = 0; p < pixelCount; p++, idx += 4) {
+    const r = data[idx] * scale;
+    const g = data[idx + 1] * scale;
+    const b = data[idx + 2] * scale;
+    const r0 = Math.min(GRID_SIZE - 2, r | 0);
+    const g0 = Math.min(GRID_SIZE - 2, g | 0);
+    const b0 = Math.min(GRID_SIZE - 2, b | 0);
+    const fr = r - r0;
+    const fg = g - g0;
+    const fb = b - b0;
+
+    // Trilinear interpolation between the 8 surrounding nodes
+    const base = r0 * strideR + g0 * strideG + b0 * n;
+    for (let c = 0; c < 8; c++) {
+      const dr = c >> 2;
+      const dg = (c >> 1) & 1;
+      const db = c & 1;
+      corners[c] = base + dr * strideR + dg * strideG + db * n;
+      weights[c] = (dr ? fr : 1 - fr) * (dg ? fg : 1 - fg) * (db ? fb : 1 - fb);
+    }
+
+    for (let i = 0; i < n; i++) {
+      let density = 0;
+      for (let c = 0; c < 8; c++) {
+        density += weights[c] * densities[corners[c] + i];
+      }
+      layers[i][p] = density * 255;
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Draw the composite of a separation: paper plus each ink at its density,
+ * mixed in linear light
+ * @param {ImageData} imageData - Image to overwrite with the composite
+ * @param {Uint8ClampedArray[]} layers - Densities from separateDensities
+ * @param {number[][]} palette - Paper followed by ink colors
+ * @returns {ImageData} The same image data
+ */
+export function compositeSeparation(imageData, layers, palette) {
+  const data = imageData.data;
+  const [paper, ...inks] = palette.map(color => color.map(srgbToLinear));
+  const columns = inks.map(ink => [ink[0] - paper[0], ink[1] - paper[1], ink[2] - paper[2]]);
+
+  // Linear intensity -> sRGB, tabulated finely enough for 8-bit output
+  const encode = new Uint8ClampedArray(4097);
+  for (let i = 0; i <= 4096; i++) {
+    encode[i] = Math.round(linearToSrgb(i / 4096));
+  }
+  const toByte = value => encode[Math.round(Math.max(0, Math.min(1, value)) * 4096)];
+
+  for (let p = 0, idx = 0; idx < data.length; p++, idx += 4) {
+    let r = paper[0];
+    let g = paper[1];
+    let b = paper[2];
+    for (let i = 0; i < columns.length; i++) {
+      const density = layers[i][p] / 255;
+      r += density * columns[i][0];
+      g += density * columns[i][1];
+      b += density * columns[i][2];
+    }
+    data[idx] = toByte(r);
+    data[idx + 1] = toByte(g);
+    data[idx + 2] = toByte(b);
+  }
+
+  return imageData;
+}
+
+/**
+ * Minimize |M d - t|² + RIDGE |d|² + INK_PENALTY Σd with every density in
+ * [0, 1], by coordinate descent on the normal equations
+ * @param {Float64Array} gram - MᵀM + RIDGE·I, n×n
+ * @param {Float64Array} b - Mᵀt
+ * @param {Float64Array} d - Starting densities; overwritten with the solution
+ * @param {Float64Array} gd - Scratch space for gram·d
+ * @param {number} n - Number of inks
+ * @private
+ */
+function solveBounded(gram, b, d, gd, n) {
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let j = 0; j < n; j++) {
+      sum += gram[i * n + j] * d[j];
+    }
+    gd[i] = sum;
+  }
+
+  for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+    let largestStep = 0;
+    for (let j = 0; j < n; j++) {
+      const gradient = gd[j] - b[j] + INK_PENALTY / 2;
+      const next = Math.max(0, Math.min(1, d[j] - gradient / gram[j * n + j]));
+      const step = next - d[j];
+      if (step !== 0) {
+        d[j] = next;
+        for (let i = 0; i < n; i++) {
+          gd[i] += step * gram[i * n + j];
+        }
+        largestStep = Math.max(largestStep, Math.abs(step));
+      }
+    }
+    if (largestStep < TOLERANCE) break;
+  }
+}
+
+/**
+ * Dot product of two 3-vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} a · b
+ * @private
+ */
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
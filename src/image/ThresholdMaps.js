@@ -0,0 +1,201 @@
+/**
+ * ThresholdMaps - Generates and caches threshold maps for ordered dithering (Bayer, blue noise)
+ * Every map is a square, tileable grid of normalized thresholds in the range (0, 1)
+ */
+
+const bayerCache = new Map();
+
+/**
+ * Get a normalized Bayer (ordered dither) matrix
+ *
+ * The index matrix is built recursively: each step replaces every cell of the
+ * previous matrix with a 2x2 block [4m, 4m+2; 4m+3, 4m+1], which spreads
+ * consecutive thresholds as far apart as possible.
+ *
+ * @param {number} size - Matrix size, must be a power of two (2, 4, 8, 16, ...)
+ * @returns {{size: number, thresholds: Float32Array}} Row-major threshold map
+ */
+export function getBayerMatrix(size) {
+  if (bayerCache.has(size)) {
+    return bayerCache.get(size);
+  }
+
+  if (size < 2 || (size & (size - 1)) !== 0) {
+    throw new Error(`Bayer matrix size must be a power of two: ${size}`);
+  }
+
+  let indices = [0];
+  let current = 1;
+  while (current < size) {
+    const next = current * 2;
+    const expanded = new Array(next * next);
+    for (let y = 0; y < current; y++) {
+      for (let x = 0; x < current; x++) {
+        const base = indices[y * current + x] * 4;
+        expanded[y * next + x] = base;
+        expanded[y * next + x + current] = base + 2;
+        expanded[(y + current) * next + x] = base + 3;
+        expanded[(y + current) * next + x + current] = base + 1;
+      }
+    }
+    indices = expanded;
+    current = next;
+  }
+
+  // Normalize to cell centres so no threshold sits exactly on 0 or 1
+  const cellCount = size * size;
+  const thresholds = new Float32Array(cellCount);
+  for (let i = 0; i < cellCount; i++) {
+    thresholds[i] = (indices[i] + 0.5) / cellCount;
+  }
+
+  const matrix = { size, thresholds };
+  bayerCache.set(size, matrix);
+  return matrix;
+}
+
+const blueNoiseCache = new Map();
+
+/**
+ * Small deterministic PRNG (mulberry32) so every session, and every worker,
+ * generates exactly the same blue-noise mask.
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get a tileable blue-noise threshold mask generated with void-and-cluster
+ *
+ * Ulichney's void-and-cluster method keeps a Gaussian "energy" field of the
+ * current binary pattern on a torus. The tightest cluster is the set pixel with
+ * the highest energy, the largest void is the empty pixel with the lowest.
+ * Pixels are ranked by repeatedly removing clusters (for ranks below the
+ * initial pattern) and filling voids (for ranks above it), which yields a
+ * threshold map whose every level is evenly spread with no low-frequency
+ * structure. The mask is generated once per size and cached.
+ *
+ * @param {number} size - Mask width and height in pixels (default 64)
+ * @param {number} sigma - Gaussian energy radius (default 1.5)
+ * @returns {{size: number, thresholds: Float32Array}} Row-major threshold map
+ */
+export function getBlueNoiseMask(size = 64, sigma = 1.5) {
+  const cacheKey = `${size}:${sigma}`;
+  if (blueNoiseCache.has(cacheKey)) {
+    return blueNoiseCache.get(cacheKey);
+  }
+
+  const cellCount = size * size;
+  const random = createRandom(0x5eed);
+
+  // Precompute the toroidal Gaussian kernel indexed by wrapped offset
+  const kernel = new Float32Array(cellCount);
+  for (let dy = 0; dy < size; dy++) {
+    const wy = Math.min(dy, size - dy);
+    for (let dx = 0; dx < size; dx++) {
+      const wx = Math.min(dx, size - dx);
+      kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+    }
+  }
+
+  const pattern = new Uint8Array(cellCount);
+  const energy = new Float32Array(cellCount);
+
+  const toggle = (index, value) => {
+    pattern[index] = value;
+    const sign = value ? 1 : -1;
+    const px = index % size;
+    const py = (index - px) / size;
+    for (let y = 0; y < size; y++) {
+      const ky = ((y - py + size) % size) * size;
+      const row = y * size;
+      for (let x = 0; x < size; x++) {
+        energy[row + x] += sign * kernel[ky + ((x - px + size) % size)];
+      }
+    }
+  };
+
+  const tightestCluster = () => {
+    let best = -1;
+    let bestEnergy = -Infinity;
+    for (let i = 0; i < cellCount; i++) {
+      if (pattern[i] && energy[i] > bestEnergy) {
+        bestEnergy = energy[i];
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  const largestVoid = () => {
+    let best = -1;
+    let bestEnergy = Infinity;
+    for (let i = 0; i < cellCount; i++) {
+      if (!pattern[i] && energy[i] < bestEnergy) {
+        bestEnergy = energy[i];
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  // Seed with a sparse random pattern (about 10% coverage)
+  const initialCount = Math.max(1, Math.floor(cellCount / 10));
+  let placed = 0;
+  while (placed < initialCount) {
+    const index = Math.floor(random() * cellCount);
+    if (!pattern[index]) {
+      toggle(index, 1);
+      placed++;
+    }
+  }
+
+  // Relax the seed: move tightest clusters into largest voids until stable
+  for (;;) {
+    const cluster = tightestCluster();
+    toggle(cluster, 0);
+    const gap = largestVoid();
+    toggle(gap, 1);
+    if (gap === cluster) break;
+  }
+
+  const ranks = new Uint32Array(cellCount);
+  const prototype = pattern.slice();
+  const prototypeEnergy = energy.slice();
+
+  // Phase 1: rank the seed pixels by removing clusters one at a time
+  for (let rank = initialCount - 1; rank >= 0; rank--) {
+    const cluster = tightestCluster();
+    toggle(cluster, 0);
+    ranks[cluster] = rank;
+  }
+
+  // Phase 2: restore the seed and fill voids until the mask is full
+  pattern.set(prototype);
+  energy.set(prototypeEnergy);
+  for (let rank = initialCount; rank < cellCount; rank++) {
+    const gap = largestVoid();
+    toggle(gap, 1);
+    ranks[gap] = rank;
+  }
+
+  const thresholds = new Float32Array(cellCount);
+  for (let i = 0; i < cellCount; i++) {
+    thresholds[i] = (ranks[i] + 0.5) / cellCount;
+  }
+
+  const mask = { size, thresholds };
+  blueNoiseCache.set(cacheKey, mask);
+  return mask;
+}
@@ -0,0 +1,239 @@
+/**
+ * ToneCurves - Levels and curves adjustments applied before dithering
+ * Settings are folded into one 256-entry lookup table per channel, so the
+ * per-pixel cost is three table reads whatever the curves look like
+ */
+
+import { DEFAULT_VALUES, CURVE_CHANNELS } from '../utils/Constants.js';
+
+/**
+ * Parse a levels attribute such as "12 240 1.2"
+ * Values are black point, white point and gamma; missing or invalid parts
+ * fall back to the defaults.
+ *
+ * @param {string} value - Attribute value
+ * @returns {{black: number, white: number, gamma: number}} Levels settings
+ */
+export function parseLevels(value) {
+  const defaults = DEFAULT_VALUES.LEVELS;
+  const [black, white, gamma] = (value || '').trim().split(/\s+/).map(parseFloat);
+
+  const parsedBlack = isNaN(black) ? defaults.black : Math.max(0, Math.min(254, Math.round(black)));
+  const parsedWhite = isNaN(white) ? defaults.white : Math.min(255, Math.round(white));
+  return {
+    black: parsedBlack,
+    white: Math.max(parsedBlack + 1, parsedWhite),
+    gamma: gamma > 0 ? Math.max(0.1, Math.min(10, gamma)) : defaults.gamma
+  };
+}
+
+/**
+ * Serialize levels back to the attribute format
+ * @param {{black: number, white: number, gamma: number}} levels - Levels settings
+ * @returns {string} Attribute value
+ */
+export function formatLevels(levels) {
+  return `${levels.black} ${levels.white} ${levels.gamma}`;
+}
+
+/**
+ * Parse a curves attribute such as "rgb: 0 0, 64 48, 255 255; b: 0 16, 255 255"
+ * Each section names a channel (rgb, r, g or b) followed by comma-separated
+ * "input output" control points in 0-255. Channels that are missing or have
+ * fewer than two valid points keep the straight default curve.
+ *
+ * @param {string} value - Attribute value
+ * @returns {Object} Control points keyed by channel, each [[x, y], ...] sorted by x
+ */
+export function parseCurves(value) {
+  const curves = createDefaultCurves();
+
+  (value || '').split(';').forEach(section => {
+    const separator = section.indexOf(':');
+    if (separator === -1) return;
+
+    const channel = section.slice(0, separator).trim().toLowerCase();
+    if (!CURVE_CHANNELS.some(c => c.value === channel)) return;
+
+    const points = section.slice(separator + 1).split(',')
+      .map(pair => pair.trim().split(/\s+/).map(parseFloat))
+      .filter(([x, y]) => !isNaN(x) && !isNaN(y))
+      .map(([x, y]) => [clampByte(x), clampByte(y)]);
+
+    const normalized = normalizeCurve(points);
+    if (normalized.length >= 2) {
+      curves[channel] = normalized;
+    }
+  });
+
+  return curves;
+}
+
+/**
+ * Serialize curves back to the attribute format
+ * Channels still on the straight default curve are left out.
+ *
+ * @param {Object} curves - Control points keyed by channel
+ * @returns {string} Attribute value (empty when every curve is straight)
+ */
+export function formatCurves(curves) {
+  return CURVE_CHANNELS
+    .filter(({ value }) => curves[value] && !isDefaultCurve(curves[value]))
+    .map(({ value }) => `${value}: ${curves[value].map(([x, y]) => `${x} ${y}`).join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Straight (identity) curves for every channel
+ * @returns {Object} Control points keyed by channel
+ */
+export function createDefaultCurves() {
+  const curves = {};
+  CURVE_CHANNELS.forEach(({ value }) => {
+    curves[value] = DEFAULT_VALUES.CURVE.map(point => [...point]);
+  });
+  return curves;
+}
+
+/**
+ * Sort control points by input and drop points sharing an input (the last wins)
+ * @param {number[][]} points - Control points as [x, y]
+ * @returns {number[][]} Sorted control points
+ */
+export function normalizeCurve(points) {
+  const byInput = new Map();
+  points.forEach(([x, y]) => byInput.set(x, y));
+  return [...byInput].sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Evaluate a curve at every input level
+ *
+ * Uses monotone cubic (Fritsch-Carlson) interpolation, so the curve passes
+ * through every control point without overshooting between them. Inputs
+ * before the first or after the last point keep that point's output.
+ *
+ * @param {number[][]} points - Control points as [x, y], sorted by x
+ * @returns {Uint8Array} Output level for each input level 0-255
+ */
+export function evaluateCurve(points) {
+  const table = new Uint8Array(256);
+  const n = points.length;
+
+  // Secant slopes between points, then tangents at each point
+  const secants = [];
+  for (let k = 0; k < n - 1; k++) {
+    secants.push((points[k + 1][1] - points[k][1]) / (points[k + 1][0] - points[k][0]));
+  }
+  const tangents = points.map((point, k) => {
+    if (k === 0) return secants[0] || 0;
+    if (k === n - 1) return secants[n - 2];
+    return secants[k - 1] * secants[k] <= 0 ? 0 : (secants[k - 1] + secants[k]) / 2;
+  });
+  for (let k = 0; k < n - 1; k++) {
+    if (secants[k] === 0) {
+      tangents[k] = 0;
+      tangents[k + 1] = 0;
+      continue;
+    }
+    const a = tangents[k] / secants[k];
+    const b = tangents[k + 1] / secants[k];
+    const length = a * a + b * b;
+    if (length > 9) {
+      const t = 3 / Math.sqrt(length);
+      tangents[k] = t * a * secants[k];
+      tangents[k + 1] = t * b * secants[k];
+    }
+  }
+
+  let k = 0;
+  for (let x = 0; x < 256; x++) {
+    let y;
+    if (x <= points[0][0]) {
+      y = points[0][1];
+    } else if (x >= points[n - 1][0]) {
+      y = points[n - 1][1];
+    } else {
+      while (x > points[k + 1][0]) k++;
+      const [x0, y0] = points[k];
+      const [x1, y1] = points[k + 1];
+      const h = x1 - x0;
+      const t = (x - x0) / h;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      y = (2 * t3 - 3 * t2 + 1) * y0 +
+        (t3 - 2 * t2 + t) * h * tangents[k] +
+        (-2 * t3 + 3 * t2) * y1 +
+        (t3 - t2) * h * tangents[k + 1];
+    }
+    table[x] = clampByte(y);
+  }
+
+  return table;
+}
+
+/**
+ * Build the combined lookup table for levels followed by curves
+ * Each channel goes through levels, then the RGB curve, then its own curve.
+ *
+ * @param {{black: number, white: number, gamma: number}} levels - Levels settings
+ * @param {Object} curves - Control points keyed by channel
+ * @returns {Uint8Array|null} 3 * 256 output levels (red, green, blue), or
+ *   null when the settings leave every level unchanged
+ */
+export function buildToneLookup(levels, curves) {
+  const master = evaluateCurve(curves.rgb);
+  const channels = [curves.r, curves.g, curves.b].map(evaluateCurve);
+  const table = new Uint8Array(3 * 256);
+  let identity = true;
+
+  for (let level = 0; level < 256; level++) {
+    const t = Math.max(0, Math.min(1, (level - levels.black) / (levels.white - levels.black)));
+    const leveled = clampByte(255 * Math.pow(t, 1 / levels.gamma));
+    for (let c = 0; c < 3; c++) {
+      const output = channels[c][master[leveled]];
+      table[c * 256 + level] = output;
+      identity = identity && output === level;
+    }
+  }
+
+  return identity ? null : table;
+}
+
+/**
+ * Apply a tone lookup table to image data in place
+ * @param {ImageData} imageData - Image to adjust
+ * @param {Uint8Array} table - Table from buildToneLookup
+ * @returns {ImageData} The same image data
+ */
+export function applyToneLookup(imageData, table) {
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = table[data[i]];
+    data[i + 1] = table[256 + data[i + 1]];
+    data[i + 2] = table[512 + data[i + 2]];
+  }
+  return imageData;
+}
+
+/**
+ * Whether a curve is the straight default one
+ * @param {number[][]} points - Control points
+ * @returns {boolean} True for the default curve
+ * @private
+ */
+function isDefaultCurve(points) {
+  const defaults = DEFAULT_VALUES.CURVE;
+  return points.length === defaults.length &&
+    points.every(([x, y], i) => x === defaults[i][0] && y === defaults[i][1]);
+}
+
+/**
+ * Round and clamp a value to a 0-255 level
+ * @param {number} value - Value to clamp
+ * @returns {number} Integer level
+ * @private
+ */
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
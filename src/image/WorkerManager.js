@@ -0,0 +1,184 @@
+/**
+ * WorkerManager - Runs ImageProcessor in a dedicated Web Worker
+ * Transfers frames to the worker as ImageBitmaps and hands back dithered ImageData,
+ * dropping frames that arrive while the worker is still busy. Separations for
+ * export are never dropped; each one resolves its own promise.
+ */
+
+export class WorkerManager {
+  constructor() {
+    this.worker = null;
+    this.busy = false;
+    this.frameId = 0;
+    this.onProcessed = null;
+    this.onError = null;
+    // Pending separations: request id -> { resolve, reject }
+    this.separations = new Map();
+  }
+
+  /**
+   * Whether this environment can run the processing worker
+   * @returns {boolean} True if module workers, OffscreenCanvas and ImageBitmap are available
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined'
+    );
+  }
+
+  /**
+   * Start the worker
+   * @param {Function} onProcessed - Called with the dithered ImageData for each frame
+   * @param {Function} onError - Called once if the worker fails; the caller should fall back
+   */
+  initialize(onProcessed, onError) {
+    this.onProcessed = onProcessed;
+    this.onError = onError;
+
+    this.worker = new Worker(new URL('./ImageProcessorWorker.js', import.meta.url), {
+      type: 'module'
+    });
+
+    this.worker.addEventListener('message', (e) => this._handleMessage(e.data));
+    this.worker.addEventListener('error', (e) => {
+      console.error('Processing worker failed:', e.message);
+      this._fail(e);
+    });
+  }
+
+  /**
+   * Forward a processor setter call to the worker's ImageProcessor
+   * @param {string} method - ImageProcessor method name (e.g. 'setPalette')
+   * @param {...*} args - Arguments for the method; must be structured-cloneable
+   */
+  configure(method, ...args) {
+    if (!this.worker) return;
+    this.worker.postMessage({ type: 'configure', method, args });
+  }
+
+  /**
+   * Send a frame to the worker for dithering
+   * @param {CanvasImageSource} source - Canvas (or other image source) holding the frame
+   * @returns {boolean} False if the frame was dropped because the worker is busy
+   */
+  process(source) {
+    if (!this.worker || this.busy) {
+      return false;
+    }
+
+    this.busy = true;
+    const id = ++this.frameId;
+
+    createImageBitmap(source)
+      .then((bitmap) => {
+        if (!this.worker) {
+          bitmap.close();
+          return;
+        }
+        this.worker.postMessage({ type: 'process', id, bitmap }, [bitmap]);
+      })
+      .catch((error) => {
+        console.error('Failed to capture frame for worker:', error);
+        this.busy = false;
+      });
+
+    return true;
+  }
+
+  /**
+   * Separate a frame into grayscale ink layers in the worker
+   * The worker keeps the separation table it builds for the preview, so
+   * exports don't have to build another one on the main thread.
+   * @param {CanvasImageSource} source - Canvas (or other image source) holding the frame
+   * @returns {Promise<{layers: Uint8ClampedArray[], width: number, height: number}>}
+   *   One density channel per ink (see ImageProcessor.separate) and the frame size
+   */
+  separate(source) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Processing worker is not running'));
+    }
+
+    const id = ++this.frameId;
+    return new Promise((resolve, reject) => {
+      this.separations.set(id, { resolve, reject });
+      createImageBitmap(source)
+        .then((bitmap) => {
+          if (!this.worker) {
+            bitmap.close();
+            return;
+          }
+          this.worker.postMessage({ type: 'separate', id, bitmap }, [bitmap]);
+        })
+        .catch((error) => {
+          this.separations.delete(id);
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - Message data
+   * @private
+   */
+  _handleMessage(message) {
+    if (message.type === 'processed') {
+      this.busy = false;
+      if (this.onProcessed) {
+        this.onProcessed(
+          new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height)
+        );
+      }
+    } else if (message.type === 'failed') {
+      console.error('Processing worker could not process frame:', message.message);
+      this.busy = false;
+    } else if (message.type === 'configure-failed') {
+      console.error(`Processing worker could not apply ${message.method}:`, message.message);
+    } else if (message.type === 'separated' || message.type === 'separate-failed') {
+      const pending = this.separations.get(message.id);
+      if (!pending) return;
+      this.separations.delete(message.id);
+      if (message.type === 'separated') {
+        pending.resolve({
+          layers: message.layers.map((buffer) => new Uint8ClampedArray(buffer)),
+          width: message.width,
+          height: message.height
+        });
+      } else {
+        pending.reject(new Error(message.message));
+      }
+    }
+  }
+
+  /**
+   * Shut the worker down after an error and notify the owner
+   * @param {Error|Event} error - The failure
+   * @private
+   */
+  _fail(error) {
+    const onError = this.onError;
+    this.destroy();
+    if (onError) {
+      onError(error);
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.separations.forEach(({ reject }) => {
+      reject(new Error('Processing worker stopped'));
+    });
+    this.separations.clear();
+    this.busy = false;
+    this.onProcessed = null;
+    this.onError = null;
+  }
+}
@@ -4,12 +4,27 @@
  */
 
 import {
+  DEFAULT_VALUES,
   DITHER_METHODS,
   SLIDER_CONFIGS,
   CSS_CLASSES,
   SIZE_UNITS,
+  HALFTONE_DOT_SHAPES,
+  COLOR_METRICS,
+  RISO_INKS,
+  PALETTE_FILE_FORMATS,
+  CURVE_CHANNELS,
+  DENOISE_METHODS,
+  RENDER_MODES,
+  EDGE_DETECTORS,
+  POSTERIZE_CHANNELS,
 } from "../utils/Constants.js";
-import { colorNameToHex } from "../utils/ColorUtils.js";
+import { evaluateCurve, normalizeCurve } from "../image/ToneCurves.js";
+import {
+  colorNameToHex,
+  findRisoInk,
+  risoInkName,
+} from "../utils/ColorUtils.js";
 import {
   convertToPixels,
   getSizeUnitConfig,
@@ -22,6 +37,8 @@ export class UIManager {
     this.elements = {};
     this.callbacks = {};
     this.parentElement = null;
+    this.customDitherMethods = [];
+    this.swatchPickerTarget = null;
   }
 
   /**
@@ -242,6 +259,9 @@ export class UIManager {
     slider.setAttribute("type", "range");
     slider.setAttribute("min", config.min);
     slider.setAttribute("max", config.max);
+    if (config.step) {
+      slider.setAttribute("step", config.step);
+    }
     slider.value = defaultValue;
 
     sliderLabel.appendChild(slider);
@@ -267,6 +287,282 @@ export class UIManager {
     this.createSlider("saturation", "Saturate", defaultValues.saturation);
     this.createSlider("brightness", "Brightness", defaultValues.brightness);
     this.createSlider("hue", "Hue", defaultValues.hue);
+    this.createSlider(
+      "levels_black",
+      "Black Point",
+      defaultValues.levels.black,
+    );
+    this.createSlider(
+      "levels_white",
+      "White Point",
+      defaultValues.levels.white,
+    );
+    this.createSlider("levels_gamma", "Gamma", defaultValues.levels.gamma);
+    this.createSlider(
+      "diffusion_strength",
+      "Diffusion",
+      defaultValues.diffusion_strength,
+    );
+    this.createSlider("error_limit", "Error Limit", defaultValues.error_limit);
+  }
+
+  /**
+   * Update the levels sliders
+   * @param {{black: number, white: number, gamma: number}} levels - Levels settings
+   */
+  updateLevels(levels) {
+    this.updateSlider("levels_black", levels.black);
+    this.updateSlider("levels_white", levels.white);
+    this.updateSlider("levels_gamma", levels.gamma);
+  }
+
+  /**
+   * Create the denoise and sharpen pre-filter controls
+   * @param {{method: string, radius: number}} denoise - Denoise settings
+   * @param {{amount: number, radius: number, threshold: number}} sharpen - Sharpen settings
+   */
+  createFilterControls(denoise, sharpen) {
+    const denoiseLabel = document.createElement("label");
+    denoiseLabel.innerText = "Denoise";
+    const denoiseSelect = document.createElement("select");
+
+    DENOISE_METHODS.forEach((option) => {
+      const opt = document.createElement("option");
+      opt.value = option.value;
+      opt.innerText = option.label;
+      denoiseSelect.appendChild(opt);
+    });
+    denoiseSelect.value = denoise.method;
+
+    denoiseLabel.appendChild(denoiseSelect);
+    this.elements.menu.appendChild(denoiseLabel);
+
+    denoiseSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onDenoiseMethodChange) {
+        this.callbacks.onDenoiseMethodChange(e.target.value);
+      }
+    });
+
+    this.elements.denoiseMethodSelect = denoiseSelect;
+
+    this.createSlider("denoise_radius", "Denoise Radius", denoise.radius);
+    this.createSlider("sharpen_amount", "Sharpen", sharpen.amount);
+    this.createSlider("sharpen_radius", "Sharpen Radius", sharpen.radius);
+    this.createSlider(
+      "sharpen_threshold",
+      "Sharpen Threshold",
+      sharpen.threshold,
+    );
+  }
+
+  /**
+   * Update the denoise and sharpen controls
+   * @param {{method: string, radius: number}} denoise - Denoise settings
+   * @param {{amount: number, radius: number, threshold: number}} sharpen - Sharpen settings
+   */
+  updateFilterControls(denoise, sharpen) {
+    if (this.elements.denoiseMethodSelect) {
+      this.elements.denoiseMethodSelect.value = denoise.method;
+    }
+    this.updateSlider("denoise_radius", denoise.radius);
+    this.updateSlider("sharpen_amount", sharpen.amount);
+    this.updateSlider("sharpen_radius", sharpen.radius);
+    this.updateSlider("sharpen_threshold", sharpen.threshold);
+  }
+
+  /**
+   * Create the curve editor
+   * Drag a control point to move it, click an empty spot to add one and
+   * double-click a point to remove it. Changes are reported through
+   * onCurvesChange when a drag ends.
+   * @param {Object} curves - Control points keyed by channel (rgb, r, g, b)
+   */
+  createCurveEditor(curves) {
+    const curveLabel = document.createElement("label");
+    curveLabel.innerText = "Curves";
+
+    const channelSelect = document.createElement("select");
+    CURVE_CHANNELS.forEach((channel) => {
+      const option = document.createElement("option");
+      option.value = channel.value;
+      option.innerText = channel.label;
+      channelSelect.appendChild(option);
+    });
+    channelSelect.addEventListener("change", (e) => {
+      this.curveChannel = e.target.value;
+      this.drawCurveEditor();
+    });
+    curveLabel.appendChild(channelSelect);
+
+    const resetButton = document.createElement("button");
+    resetButton.innerText = "Reset Curve";
+    resetButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.curves[this.curveChannel] = DEFAULT_VALUES.CURVE.map((point) => [
+        ...point,
+      ]);
+      this.drawCurveEditor();
+      this.notifyCurvesChange();
+    });
+    curveLabel.appendChild(resetButton);
+    this.elements.menu.appendChild(curveLabel);
+
+    // Drawn in curve coordinates: 256 canvas pixels per axis
+    const canvas = document.createElement("canvas");
+    canvas.className = CSS_CLASSES.curveEditor;
+    canvas.width = 256;
+    canvas.height = 256;
+    this.elements.menu.appendChild(canvas);
+
+    this.elements.curveChannelSelect = channelSelect;
+    this.elements.curveCanvas = canvas;
+    this.curveChannel = CURVE_CHANNELS[0].value;
+    this.bindCurveEditorEvents(canvas);
+    this.updateCurveEditor(curves);
+  }
+
+  /**
+   * Show new curves in the curve editor
+   * @param {Object} curves - Control points keyed by channel
+   */
+  updateCurveEditor(curves) {
+    if (!this.elements.curveCanvas) return;
+    this.curves = {};
+    CURVE_CHANNELS.forEach(({ value }) => {
+      this.curves[value] = curves[value].map((point) => [...point]);
+    });
+    this.drawCurveEditor();
+  }
+
+  /**
+   * Redraw the curve editor for the selected channel
+   */
+  drawCurveEditor() {
+    const canvas = this.elements.curveCanvas;
+    const ctx = canvas.getContext("2d");
+    const channel = CURVE_CHANNELS.find((c) => c.value === this.curveChannel);
+    const points = this.curves[this.curveChannel];
+
+    ctx.fillStyle = "#111111";
+    ctx.fillRect(0, 0, 256, 256);
+
+    // Quarter grid and the straight reference line
+    ctx.strokeStyle = "#444444";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 64; i < 256; i += 64) {
+      ctx.moveTo(i + 0.5, 0);
+      ctx.lineTo(i + 0.5, 256);
+      ctx.moveTo(0, i + 0.5);
+      ctx.lineTo(256, i + 0.5);
+    }
+    ctx.moveTo(0, 256);
+    ctx.lineTo(256, 0);
+    ctx.stroke();
+
+    const table = evaluateCurve(points);
+    ctx.strokeStyle = channel.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, 255 - table[0]);
+    for (let x = 1; x < 256; x++) {
+      ctx.lineTo(x, 255 - table[x]);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = channel.color;
+    points.forEach(([x, y]) => {
+      ctx.fillRect(x - 4, 255 - y - 4, 8, 8);
+    });
+  }
+
+  /**
+   * Wire up pointer editing of the curve control points
+   * @param {HTMLCanvasElement} canvas - Curve editor canvas
+   * @private
+   */
+  bindCurveEditorEvents(canvas) {
+    // Pointer position in curve coordinates (0-255, output upwards)
+    const toCurve = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const scaleX = rect.width ? 256 / rect.width : 1;
+      const scaleY = rect.height ? 256 / rect.height : 1;
+      const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)));
+      return [
+        clamp((e.clientX - rect.left) * scaleX),
+        clamp(255 - (e.clientY - rect.top) * scaleY),
+      ];
+    };
+    // Index of the control point under the pointer, or -1
+    const hitPoint = ([x, y]) =>
+      this.curves[this.curveChannel].findIndex(
+        ([px, py]) => Math.abs(px - x) <= 8 && Math.abs(py - y) <= 8,
+      );
+
+    let dragIndex = -1;
+    let changed = false;
+
+    canvas.addEventListener("pointerdown", (e) => {
+      const position = toCurve(e);
+      const points = this.curves[this.curveChannel];
+      dragIndex = hitPoint(position);
+      changed = dragIndex === -1;
+      if (dragIndex === -1) {
+        points.push(position);
+        this.curves[this.curveChannel] = normalizeCurve(points);
+        dragIndex = this.curves[this.curveChannel].findIndex(
+          ([x]) => x === position[0],
+        );
+      }
+      if (canvas.setPointerCapture) {
+        canvas.setPointerCapture(e.pointerId);
+      }
+      this.drawCurveEditor();
+    });
+
+    canvas.addEventListener("pointermove", (e) => {
+      if (dragIndex === -1) return;
+      const points = this.curves[this.curveChannel];
+      const [x, y] = toCurve(e);
+      // Points keep their order: stay strictly between the neighbours
+      const minX = dragIndex > 0 ? points[dragIndex - 1][0] + 1 : 0;
+      const maxX =
+        dragIndex < points.length - 1 ? points[dragIndex + 1][0] - 1 : 255;
+      points[dragIndex] = [Math.max(minX, Math.min(maxX, x)), y];
+      changed = true;
+      this.drawCurveEditor();
+    });
+
+    const endDrag = () => {
+      if (dragIndex === -1) return;
+      dragIndex = -1;
+      // A click on a point without dragging changes nothing
+      if (changed) {
+        this.notifyCurvesChange();
+      }
+    };
+    canvas.addEventListener("pointerup", endDrag);
+    canvas.addEventListener("pointercancel", endDrag);
+
+    canvas.addEventListener("dblclick", (e) => {
+      const points = this.curves[this.curveChannel];
+      const index = hitPoint(toCurve(e));
+      if (index !== -1 && points.length > 2) {
+        points.splice(index, 1);
+        this.drawCurveEditor();
+        this.notifyCurvesChange();
+      }
+    });
+  }
+
+  /**
+   * Report the edited curves
+   * @private
+   */
+  notifyCurvesChange() {
+    if (this.callbacks.onCurvesChange) {
+      this.callbacks.onCurvesChange(this.curves);
+    }
   }
 
   /**
@@ -288,6 +584,487 @@ export class UIManager {
     this.elements.resetButton = resetButton;
   }
 
+  /**
+   * Create serpentine scanning toggle for error diffusion
+   * @param {boolean} enabled - Whether serpentine scanning is on
+   */
+  createSerpentineCheckbox(enabled) {
+    const serpentineLabel = document.createElement("label");
+    serpentineLabel.innerText = "Serpentine Scan";
+    const serpentineCheckbox = document.createElement("input");
+    serpentineCheckbox.setAttribute("type", "checkbox");
+    serpentineCheckbox.checked = enabled;
+    serpentineLabel.appendChild(serpentineCheckbox);
+    this.elements.menu.appendChild(serpentineLabel);
+
+    serpentineCheckbox.addEventListener("change", (e) => {
+      if (this.callbacks.onSerpentineChange) {
+        this.callbacks.onSerpentineChange(e.target.checked);
+      }
+    });
+
+    this.elements.serpentineCheckbox = serpentineCheckbox;
+  }
+
+  /**
+   * Create linear-light (gamma-correct) diffusion toggle
+   * @param {boolean} enabled - Whether error diffusion runs in linear light
+   */
+  createLinearLightCheckbox(enabled) {
+    const linearLightLabel = document.createElement("label");
+    linearLightLabel.innerText = "Linear Light";
+    const linearLightCheckbox = document.createElement("input");
+    linearLightCheckbox.setAttribute("type", "checkbox");
+    linearLightCheckbox.checked = enabled;
+    linearLightLabel.appendChild(linearLightCheckbox);
+    this.elements.menu.appendChild(linearLightLabel);
+
+    linearLightCheckbox.addEventListener("change", (e) => {
+      if (this.callbacks.onLinearLightChange) {
+        this.callbacks.onLinearLightChange(e.target.checked);
+      }
+    });
+
+    this.elements.linearLightCheckbox = linearLightCheckbox;
+  }
+
+  /**
+   * Create overprint simulation toggle
+   * @param {boolean} enabled - Whether pixels may carry several inks
+   */
+  createOverprintCheckbox(enabled) {
+    const overprintLabel = document.createElement("label");
+    overprintLabel.innerText = "Overprint";
+    const overprintCheckbox = document.createElement("input");
+    overprintCheckbox.setAttribute("type", "checkbox");
+    overprintCheckbox.checked = enabled;
+    overprintLabel.appendChild(overprintCheckbox);
+    this.elements.menu.appendChild(overprintLabel);
+
+    overprintCheckbox.addEventListener("change", (e) => {
+      if (this.callbacks.onOverprintChange) {
+        this.callbacks.onOverprintChange(e.target.checked);
+      }
+    });
+
+    this.elements.overprintCheckbox = overprintCheckbox;
+  }
+
+  /**
+   * Create color matching metric selector
+   * @param {string} metric - Currently selected metric
+   */
+  createColorMetricSelector(metric) {
+    const metricLabel = document.createElement("label");
+    metricLabel.innerText = "Color Match";
+    const metricSelect = document.createElement("select");
+
+    COLOR_METRICS.forEach((option) => {
+      const opt = document.createElement("option");
+      opt.value = option.value;
+      opt.innerText = option.label;
+      metricSelect.appendChild(opt);
+    });
+    metricSelect.value = metric;
+
+    metricLabel.appendChild(metricSelect);
+    this.elements.menu.appendChild(metricLabel);
+
+    metricSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onColorMetricChange) {
+        this.callbacks.onColorMetricChange(e.target.value);
+      }
+    });
+
+    this.elements.colorMetricSelect = metricSelect;
+  }
+
+  /**
+   * Create per-ink halftone screen controls (angle, LPI and dot shape)
+   * @param {Object[]} screens - Current {angle, lpi, shape} screen for each ink
+   */
+  createHalftoneControls(screens) {
+    const halftoneContainer = document.createElement("div");
+    halftoneContainer.style.display = "flex";
+    halftoneContainer.style.flexDirection = "column";
+    halftoneContainer.style.gap = "5px";
+    halftoneContainer.style.marginBottom = "10px";
+
+    const halftoneLabel = document.createElement("label");
+    halftoneLabel.innerText = "Halftone Screens";
+    halftoneLabel.style.fontWeight = "bold";
+    halftoneContainer.appendChild(halftoneLabel);
+
+    this.elements.menu.appendChild(halftoneContainer);
+    this.elements.halftoneContainer = halftoneContainer;
+    this.elements.halftoneRows = [];
+    this.updateHalftoneControls(screens);
+  }
+
+  /**
+   * Create the halftone screen row for one ink
+   * @param {number} index - Ink index (0-based)
+   * @returns {Object} Row element and its angle, LPI and shape inputs
+   */
+  createHalftoneRow(index) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.gap = "5px";
+    row.style.alignItems = "center";
+
+    const inkLabel = document.createElement("span");
+    inkLabel.innerText = `Ink ${index + 1}:`;
+    inkLabel.style.fontSize = "0.9em";
+    inkLabel.style.minWidth = "45px";
+
+    const angleInput = document.createElement("input");
+    angleInput.type = "number";
+    angleInput.min = 0;
+    angleInput.max = 180;
+    angleInput.step = 1;
+    angleInput.title = "Screen angle (degrees)";
+    angleInput.style.width = "50px";
+
+    const lpiInput = document.createElement("input");
+    lpiInput.type = "number";
+    lpiInput.min = 10;
+    lpiInput.max = 150;
+    lpiInput.step = 1;
+    lpiInput.title = "Lines per inch";
+    lpiInput.style.width = "50px";
+
+    const shapeSelect = document.createElement("select");
+    HALFTONE_DOT_SHAPES.forEach((shape) => {
+      const option = document.createElement("option");
+      option.value = shape.value;
+      option.innerText = shape.label;
+      shapeSelect.appendChild(option);
+    });
+
+    const handleScreenChange = () => {
+      const angle = parseFloat(angleInput.value);
+      const lpi = parseFloat(lpiInput.value);
+      if (isNaN(angle) || !(lpi > 0)) return;
+
+      if (this.callbacks.onHalftoneScreenChange) {
+        this.callbacks.onHalftoneScreenChange(index, {
+          angle,
+          lpi,
+          shape: shapeSelect.value,
+        });
+      }
+    };
+
+    angleInput.addEventListener("change", handleScreenChange);
+    lpiInput.addEventListener("change", handleScreenChange);
+    shapeSelect.addEventListener("change", handleScreenChange);
+
+    row.appendChild(inkLabel);
+    row.appendChild(angleInput);
+    row.appendChild(lpiInput);
+    row.appendChild(shapeSelect);
+
+    return { row, angleInput, lpiInput, shapeSelect };
+  }
+
+  /**
+   * Update halftone screen controls to match the current screens
+   * Rows are added or removed so there is one per ink
+   * @param {Object[]} screens - Current {angle, lpi, shape} screen for each ink
+   */
+  updateHalftoneControls(screens) {
+    if (!this.elements.halftoneRows) return;
+
+    const rows = this.elements.halftoneRows;
+    while (rows.length > screens.length) {
+      rows.pop().row.remove();
+    }
+    while (rows.length < screens.length) {
+      const halftoneRow = this.createHalftoneRow(rows.length);
+      this.elements.halftoneContainer.appendChild(halftoneRow.row);
+      rows.push(halftoneRow);
+    }
+
+    rows.forEach((row, index) => {
+      const screen = screens[index];
+      row.angleInput.value = screen.angle;
+      row.lpiInput.value = screen.lpi;
+      row.shapeSelect.value = screen.shape;
+    });
+  }
+
+  /**
+   * Create posterize controls: source channel and the band list
+   * Each band row has its start level and ink; bands can be added (splitting
+   * the widest band) and removed, down to two.
+   * @param {string} channel - Source channel
+   * @param {{start: number, ink: number}[]} bands - Bands sorted by start
+   * @param {number} inkCount - Number of inks in the palette
+   */
+  createPosterizeControls(channel, bands, inkCount) {
+    const posterizeContainer = document.createElement("div");
+    posterizeContainer.style.display = "flex";
+    posterizeContainer.style.flexDirection = "column";
+    posterizeContainer.style.gap = "5px";
+    posterizeContainer.style.marginBottom = "10px";
+
+    const posterizeLabel = document.createElement("label");
+    posterizeLabel.innerText = "Posterize Bands";
+    posterizeLabel.style.fontWeight = "bold";
+    posterizeContainer.appendChild(posterizeLabel);
+
+    const channelLabel = document.createElement("label");
+    channelLabel.innerText = "Channel";
+    const channelSelect = document.createElement("select");
+    POSTERIZE_CHANNELS.forEach((option) => {
+      const opt = document.createElement("option");
+      opt.value = option.value;
+      opt.innerText = option.label;
+      channelSelect.appendChild(opt);
+    });
+    channelSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onPosterizeChannelChange) {
+        this.callbacks.onPosterizeChannelChange(e.target.value);
+      }
+    });
+    channelLabel.appendChild(channelSelect);
+    posterizeContainer.appendChild(channelLabel);
+
+    const rowsContainer = document.createElement("div");
+    rowsContainer.style.display = "flex";
+    rowsContainer.style.flexDirection = "column";
+    rowsContainer.style.gap = "5px";
+    posterizeContainer.appendChild(rowsContainer);
+
+    const addButton = document.createElement("button");
+    addButton.innerText = "Add Band";
+    addButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      const bands = this.posterizeBands;
+      if (bands.length >= DEFAULT_VALUES.MAX_POSTERIZE_BANDS) return;
+
+      // Split the widest band in two; the new upper half starts as paper
+      let widest = 0;
+      let widestSize = 0;
+      bands.forEach((band, i) => {
+        const end = i < bands.length - 1 ? bands[i + 1].start : 256;
+        if (end - band.start > widestSize) {
+          widest = i;
+          widestSize = end - band.start;
+        }
+      });
+      if (widestSize < 2) return;
+      bands.splice(widest + 1, 0, {
+        start: bands[widest].start + Math.floor(widestSize / 2),
+        ink: 0,
+      });
+      this.notifyPosterizeBandsChange();
+    });
+    posterizeContainer.appendChild(addButton);
+
+    this.elements.menu.appendChild(posterizeContainer);
+    this.elements.posterizeChannelSelect = channelSelect;
+    this.elements.posterizeRows = rowsContainer;
+    this.elements.posterizeAddButton = addButton;
+    this.updatePosterizeControls(channel, bands, inkCount);
+  }
+
+  /**
+   * Rebuild the posterize band rows
+   * @param {string} channel - Source channel
+   * @param {{start: number, ink: number}[]} bands - Bands sorted by start
+   * @param {number} inkCount - Number of inks in the palette
+   */
+  updatePosterizeControls(channel, bands, inkCount) {
+    if (!this.elements.posterizeRows) return;
+
+    this.posterizeBands = bands.map((band) => ({ ...band }));
+    this.elements.posterizeChannelSelect.value = channel;
+    this.elements.posterizeRows.innerHTML = "";
+    this.posterizeBands.forEach((band, index) => {
+      this.elements.posterizeRows.appendChild(
+        this.createPosterizeRow(index, inkCount),
+      );
+    });
+    this.elements.posterizeAddButton.disabled =
+      bands.length >= DEFAULT_VALUES.MAX_POSTERIZE_BANDS;
+  }
+
+  /**
+   * Create the row for one posterize band
+   * @param {number} index - Band index
+   * @param {number} inkCount - Number of inks in the palette
+   * @returns {HTMLElement} Row element
+   * @private
+   */
+  createPosterizeRow(index, inkCount) {
+    const band = this.posterizeBands[index];
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.gap = "5px";
+    row.style.alignItems = "center";
+
+    const bandLabel = document.createElement("span");
+    bandLabel.innerText = `Band ${index + 1}:`;
+    bandLabel.style.fontSize = "0.9em";
+    bandLabel.style.minWidth = "55px";
+
+    // The first band always starts at 0
+    const startInput = document.createElement("input");
+    startInput.type = "number";
+    startInput.min = 0;
+    startInput.max = 255;
+    startInput.step = 1;
+    startInput.value = band.start;
+    startInput.disabled = index === 0;
+    startInput.title = "First level of the band (0-255)";
+    startInput.style.width = "50px";
+    startInput.addEventListener("change", () => {
+      const start = parseInt(startInput.value);
+      if (isNaN(start)) return;
+      band.start = Math.max(1, Math.min(255, start));
+      this.notifyPosterizeBandsChange();
+    });
+
+    const inkSelect = document.createElement("select");
+    for (let ink = 0; ink <= inkCount; ink++) {
+      const opt = document.createElement("option");
+      opt.value = ink;
+      opt.innerText = ink === 0 ? "Paper" : `Ink ${ink}`;
+      inkSelect.appendChild(opt);
+    }
+    inkSelect.value = Math.min(band.ink, inkCount);
+    inkSelect.addEventListener("change", () => {
+      band.ink = parseInt(inkSelect.value);
+      this.notifyPosterizeBandsChange();
+    });
+
+    const removeButton = document.createElement("button");
+    removeButton.innerText = "×";
+    removeButton.title = "Remove band";
+    removeButton.disabled = this.posterizeBands.length <= 2;
+    removeButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.posterizeBands.splice(index, 1);
+      this.posterizeBands[0].start = 0;
+      this.notifyPosterizeBandsChange();
+    });
+
+    row.appendChild(bandLabel);
+    row.appendChild(startInput);
+    row.appendChild(inkSelect);
+    row.appendChild(removeButton);
+    return row;
+  }
+
+  /**
+   * Report the edited posterize bands
+   * @private
+   */
+  notifyPosterizeBandsChange() {
+    if (this.callbacks.onPosterizeBandsChange) {
+      this.callbacks.onPosterizeBandsChange(this.posterizeBands);
+    }
+  }
+
+  /**
+   * Create line art controls: edge detector, threshold, line weight, and the
+   * line and fill inks
+   * @param {{detector: string, threshold: number, weight: number, ink: number, fill: number}} settings -
+   *   Current line art settings
+   * @param {number} inkCount - Number of inks in the palette
+   */
+  createLineArtControls(settings, inkCount) {
+    const detectorLabel = document.createElement("label");
+    detectorLabel.innerText = "Line Edges";
+    const detectorSelect = document.createElement("select");
+
+    EDGE_DETECTORS.forEach((option) => {
+      const opt = document.createElement("option");
+      opt.value = option.value;
+      opt.innerText = option.label;
+      detectorSelect.appendChild(opt);
+    });
+
+    detectorLabel.appendChild(detectorSelect);
+    this.elements.menu.appendChild(detectorLabel);
+
+    detectorSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onEdgeDetectorChange) {
+        this.callbacks.onEdgeDetectorChange(e.target.value);
+      }
+    });
+
+    this.elements.edgeDetectorSelect = detectorSelect;
+
+    this.createSlider("line_threshold", "Line Threshold", settings.threshold);
+    this.createSlider("line_weight", "Line Weight", settings.weight);
+
+    const lineInkLabel = document.createElement("label");
+    lineInkLabel.innerText = "Line Ink";
+    const lineInkSelect = document.createElement("select");
+    lineInkLabel.appendChild(lineInkSelect);
+    this.elements.menu.appendChild(lineInkLabel);
+
+    lineInkSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onLineInkChange) {
+        this.callbacks.onLineInkChange(parseInt(e.target.value));
+      }
+    });
+
+    const fillInkLabel = document.createElement("label");
+    fillInkLabel.innerText = "Fill Ink";
+    const fillInkSelect = document.createElement("select");
+    fillInkLabel.appendChild(fillInkSelect);
+    this.elements.menu.appendChild(fillInkLabel);
+
+    fillInkSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onFillInkChange) {
+        this.callbacks.onFillInkChange(parseInt(e.target.value));
+      }
+    });
+
+    this.elements.lineInkSelect = lineInkSelect;
+    this.elements.fillInkSelect = fillInkSelect;
+    this.updateLineArtControls(settings, inkCount);
+  }
+
+  /**
+   * Update line art controls to match the settings and the number of inks
+   * @param {{detector: string, threshold: number, weight: number, ink: number, fill: number}} settings -
+   *   Current line art settings
+   * @param {number} inkCount - Number of inks in the palette
+   */
+  updateLineArtControls(settings, inkCount) {
+    if (!this.elements.edgeDetectorSelect) return;
+
+    const setInkOptions = (select, includeNone) => {
+      select.innerHTML = "";
+      if (includeNone) {
+        const opt = document.createElement("option");
+        opt.value = 0;
+        opt.innerText = "None";
+        select.appendChild(opt);
+      }
+      for (let i = 1; i <= inkCount; i++) {
+        const opt = document.createElement("option");
+        opt.value = i;
+        opt.innerText = `Ink ${i}`;
+        select.appendChild(opt);
+      }
+    };
+    setInkOptions(this.elements.lineInkSelect, false);
+    setInkOptions(this.elements.fillInkSelect, true);
+
+    // Inks past the end of the palette fall back like the processor does
+    this.elements.edgeDetectorSelect.value = settings.detector;
+    this.elements.lineInkSelect.value = Math.min(settings.ink, inkCount);
+    this.elements.fillInkSelect.value =
+      settings.fill <= inkCount ? settings.fill : 0;
+    this.updateSlider("line_threshold", settings.threshold);
+    this.updateSlider("line_weight", settings.weight);
+  }
+
   /**
    * Create take picture button
    */
@@ -321,6 +1098,9 @@ export class UIManager {
     // Dithering method selector
     this.createDitherSelector(bottomContainer);
 
+    // Render mode selector (dithered tones or line art)
+    this.createRenderModeSelector(bottomContainer);
+
     // Image upload button
     this.createUploadImageButton(bottomContainer);
 
@@ -398,7 +1178,7 @@ export class UIManager {
 
     const ditherSelect = document.createElement("select");
 
-    DITHER_METHODS.forEach((option) => {
+    [...DITHER_METHODS, ...this.customDitherMethods].forEach((option) => {
       const opt = document.createElement("option");
       opt.value = option.value;
       opt.innerText = option.label;
@@ -418,6 +1198,67 @@ export class UIManager {
     this.elements.ditherSelect = ditherSelect;
   }
 
+  /**
+   * Create render mode selector
+   * @param {HTMLElement} container - Container element
+   */
+  createRenderModeSelector(container) {
+    const renderWrapper = document.createElement("div");
+    renderWrapper.className = CSS_CLASSES.controlWrapper;
+
+    const renderLabel = document.createElement("label");
+    renderLabel.innerText = "Render: ";
+
+    const renderSelect = document.createElement("select");
+
+    RENDER_MODES.forEach((option) => {
+      const opt = document.createElement("option");
+      opt.value = option.value;
+      opt.innerText = option.label;
+      renderSelect.appendChild(opt);
+    });
+
+    renderSelect.addEventListener("change", (e) => {
+      if (this.callbacks.onRenderModeChange) {
+        this.callbacks.onRenderModeChange(e.target.value);
+      }
+    });
+
+    renderWrapper.appendChild(renderLabel);
+    renderWrapper.appendChild(renderSelect);
+    container.appendChild(renderWrapper);
+
+    this.elements.renderModeSelect = renderSelect;
+  }
+
+  /**
+   * Add a custom dither method to the dithering dropdown
+   * Methods added before the dropdown exists are included when it is created
+   * @param {string} value - Method name
+   * @param {string} label - Display label
+   */
+  addDitherMethod(value, label) {
+    const existing = this.customDitherMethods.find((m) => m.value === value);
+    if (existing) {
+      existing.label = label;
+      if (this.elements.ditherSelect) {
+        const option = [...this.elements.ditherSelect.options].find(
+          (opt) => opt.value === value,
+        );
+        if (option) option.innerText = label;
+      }
+      return;
+    }
+
+    this.customDitherMethods.push({ value, label });
+    if (this.elements.ditherSelect) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.innerText = label;
+      this.elements.ditherSelect.appendChild(opt);
+    }
+  }
+
   /**
    * Create export layers button
    * @param {HTMLElement} container - Container element
@@ -511,79 +1352,430 @@ export class UIManager {
     }
   }
 
+  /**
+   * Create ink count control
+   * @param {number} count - Current number of inks
+   */
+  createInkCountControl(count) {
+    const inkCountLabel = document.createElement("label");
+    inkCountLabel.innerText = "Inks";
+    const inkCountInput = document.createElement("input");
+    inkCountInput.type = "number";
+    inkCountInput.min = DEFAULT_VALUES.MIN_INKS;
+    inkCountInput.max = DEFAULT_VALUES.MAX_INKS;
+    inkCountInput.step = 1;
+    inkCountInput.value = count;
+    inkCountInput.style.width = "50px";
+    inkCountLabel.appendChild(inkCountInput);
+    this.elements.menu.appendChild(inkCountLabel);
+
+    inkCountInput.addEventListener("change", (e) => {
+      const newCount = parseInt(e.target.value);
+      if (isNaN(newCount)) return;
+
+      if (this.callbacks.onInkCountChange) {
+        this.callbacks.onInkCountChange(
+          Math.max(
+            DEFAULT_VALUES.MIN_INKS,
+            Math.min(DEFAULT_VALUES.MAX_INKS, newCount),
+          ),
+        );
+      }
+    });
+
+    this.elements.inkCountInput = inkCountInput;
+  }
+
+  /**
+   * Update ink count control
+   * @param {number} count - Current number of inks
+   */
+  updateInkCount(count) {
+    if (this.elements.inkCountInput) {
+      this.elements.inkCountInput.value = count;
+    }
+  }
+
+  /**
+   * Create auto palette button and library snapping toggle
+   * @param {boolean} snapEnabled - Whether proposals snap to the ink library
+   */
+  createAutoPaletteControls(snapEnabled) {
+    const autoPaletteLabel = document.createElement("label");
+    const autoPaletteButton = document.createElement("button");
+    autoPaletteButton.innerText = "Auto Palette";
+    autoPaletteLabel.appendChild(autoPaletteButton);
+    this.elements.menu.appendChild(autoPaletteLabel);
+
+    autoPaletteButton.addEventListener("click", () => {
+      if (this.callbacks.onAutoPalette) {
+        this.callbacks.onAutoPalette();
+      }
+    });
+
+    const snapLabel = document.createElement("label");
+    snapLabel.innerText = "Snap to Ink Library";
+    const snapCheckbox = document.createElement("input");
+    snapCheckbox.setAttribute("type", "checkbox");
+    snapLabel.appendChild(snapCheckbox);
+    this.elements.menu.appendChild(snapLabel);
+
+    snapCheckbox.addEventListener("change", (e) => {
+      if (this.callbacks.onSnapToLibraryChange) {
+        this.callbacks.onSnapToLibraryChange(e.target.checked);
+      }
+    });
+
+    this.elements.autoPaletteButton = autoPaletteButton;
+    this.elements.snapToLibraryCheckbox = snapCheckbox;
+    this.updateSnapToLibrary(snapEnabled);
+  }
+
+  /**
+   * Create palette file import and export controls
+   * Export downloads the inks in the selected format; import accepts any of them
+   */
+  createPaletteFileControls() {
+    const paletteFileLabel = document.createElement("label");
+    paletteFileLabel.innerText = "Palette File";
+
+    const formatSelect = document.createElement("select");
+    PALETTE_FILE_FORMATS.forEach((format) => {
+      const option = document.createElement("option");
+      option.value = format.value;
+      option.innerText = format.label;
+      formatSelect.appendChild(option);
+    });
+    paletteFileLabel.appendChild(formatSelect);
+
+    const exportButton = document.createElement("button");
+    exportButton.innerText = "Export";
+    exportButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (this.callbacks.onPaletteExport) {
+        this.callbacks.onPaletteExport(formatSelect.value);
+      }
+    });
+    paletteFileLabel.appendChild(exportButton);
+
+    // Hidden file input for palette import
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = PALETTE_FILE_FORMATS.map((f) => `.${f.value}`).join(",");
+    fileInput.style.display = "none";
+
+    const importButton = document.createElement("button");
+    importButton.innerText = "Import";
+    importButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      fileInput.click();
+    });
+
+    fileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file && this.callbacks.onPaletteImport) {
+        this.callbacks.onPaletteImport(file);
+        // Clear the input so the same file can be imported again
+        fileInput.value = "";
+      }
+    });
+
+    paletteFileLabel.appendChild(importButton);
+    paletteFileLabel.appendChild(fileInput);
+    this.elements.menu.appendChild(paletteFileLabel);
+
+    this.elements.paletteFormatSelect = formatSelect;
+    this.elements.paletteFileInput = fileInput;
+  }
+
+  /**
+   * Update library snapping toggle
+   * @param {boolean} snapEnabled - Whether proposals snap to the ink library
+   */
+  updateSnapToLibrary(snapEnabled) {
+    if (this.elements.snapToLibraryCheckbox) {
+      this.elements.snapToLibraryCheckbox.checked = snapEnabled;
+    }
+  }
+
   /**
    * Create color picker interface
-   * @param {Object} colors - Current color values
+   * @param {string[]} inks - Current ink colors
+   * @param {string} paperColor - Current paper color
+   * @param {number[]} inkWeights - Ink weights in percent (missing = 100)
    */
-  createColorPicker(colors) {
+  createColorPicker(inks, paperColor, inkWeights = []) {
     const colorPickerContainer = document.createElement("div");
     colorPickerContainer.className = CSS_CLASSES.colorPickerContainer;
 
-    // Create color inputs for each color
-    this.createColorInput(
+    // Paper comes first, labelled so it is not mistaken for an ink
+    this.elements.paperColorInput = this.createColorInput(
       colorPickerContainer,
-      "Color 1",
-      "color1",
-      colors.color1,
-    );
-    this.createColorInput(
-      colorPickerContainer,
-      "Color 2",
-      "color2",
-      colors.color2,
-    );
-    this.createColorInput(
-      colorPickerContainer,
-      "Color 3",
-      "color3",
-      colors.color3,
-    );
-    this.createColorInput(
-      colorPickerContainer,
-      "Color 4",
-      "color4",
-      colors.color4,
-    );
-    this.createColorInput(
-      colorPickerContainer,
-      "Color 5",
-      "color5",
-      colors.color5,
+      "Paper",
+      (newColor) => {
+        if (this.callbacks.onPaperColorChange) {
+          this.callbacks.onPaperColorChange(newColor);
+        }
+      },
     );
+    const paperLabel = document.createElement("span");
+    paperLabel.innerText = "Paper";
+    paperLabel.style.fontSize = "0.9em";
+    this.elements.paperColorInput.parentElement.appendChild(paperLabel);
+    this.updatePaperColor(paperColor);
 
     this.parentElement.appendChild(colorPickerContainer);
     this.elements.colorPickerContainer = colorPickerContainer;
+    this.elements.colorInputs = [];
+    this.elements.inkWeightInputs = [];
+    this.updateColorPicker(inks, inkWeights);
+    this.createSwatchPicker();
+  }
+
+  /**
+   * Update color picker to match the current inks
+   * Inputs are added or removed so there is one per ink, each with its
+   * weight input
+   * @param {string[]} inks - Current ink colors
+   * @param {number[]} weights - Ink weights in percent (missing = 100)
+   */
+  updateColorPicker(inks, weights = []) {
+    if (!this.elements.colorInputs) return;
+
+    const inputs = this.elements.colorInputs;
+    const weightInputs = this.elements.inkWeightInputs;
+    while (inputs.length > inks.length) {
+      inputs.pop().parentElement.remove();
+      weightInputs.pop();
+    }
+    while (inputs.length < inks.length) {
+      const inkIndex = inputs.length;
+      const input = this.createColorInput(
+        this.elements.colorPickerContainer,
+        `Color ${inkIndex + 1}`,
+        (newColor) => {
+          if (this.callbacks.onColorChange) {
+            this.callbacks.onColorChange(inkIndex, newColor);
+          }
+        },
+      );
+      inputs.push(input);
+      weightInputs.push(
+        this.createInkWeightInput(input.parentElement, inkIndex),
+      );
+    }
+
+    inputs.forEach((input, index) => {
+      input.value = colorNameToHex(inks[index]);
+      input.title = this.describeColor(`Color ${index + 1}`, inks[index]);
+    });
+    this.updateInkWeights(weights);
+  }
+
+  /**
+   * Update the ink weight inputs
+   * @param {number[]} weights - Ink weights in percent (missing = 100)
+   */
+  updateInkWeights(weights) {
+    if (!this.elements.inkWeightInputs) return;
+
+    this.elements.inkWeightInputs.forEach((input, index) => {
+      input.value = weights[index] ?? DEFAULT_VALUES.INK_WEIGHT;
+    });
+  }
+
+  /**
+   * Create the weight input for an ink's color row
+   * The weight sets how readily dithering picks the ink, in percent.
+   * @param {HTMLElement} colorRow - Row holding the ink's color input
+   * @param {number} inkIndex - Index of the ink (0-based)
+   * @returns {HTMLInputElement} The weight input
+   */
+  createInkWeightInput(colorRow, inkIndex) {
+    const config = SLIDER_CONFIGS.ink_weight;
+    const weightInput = document.createElement("input");
+    weightInput.type = "number";
+    weightInput.className = CSS_CLASSES.inkWeightInput;
+    weightInput.min = config.min;
+    weightInput.max = config.max;
+    weightInput.step = config.step;
+    weightInput.value = config.default;
+    weightInput.title = `Weight of Color ${inkIndex + 1} in percent: higher prints the ink more, lower less`;
+
+    weightInput.addEventListener("change", () => {
+      const weight = parseFloat(weightInput.value);
+      if (isNaN(weight)) return;
+      if (this.callbacks.onInkWeightChange) {
+        this.callbacks.onInkWeightChange(inkIndex, weight);
+      }
+    });
+
+    colorRow.appendChild(weightInput);
+    return weightInput;
+  }
+
+  /**
+   * Update paper color input
+   * @param {string} paperColor - Current paper color
+   */
+  updatePaperColor(paperColor) {
+    if (this.elements.paperColorInput) {
+      this.elements.paperColorInput.value = colorNameToHex(paperColor);
+      this.elements.paperColorInput.title = this.describeColor(
+        "Paper",
+        paperColor,
+      );
+    }
+  }
+
+  /**
+   * Tooltip text for a color input, naming the riso ink when there is one
+   * @param {string} labelText - Input label
+   * @param {string} color - Ink name or CSS color
+   * @returns {string} Tooltip text
+   */
+  describeColor(labelText, color) {
+    const ink = findRisoInk(color);
+    return `${labelText}: ${ink ? ink.label : color}`;
   }
 
   /**
    * Create individual color input
    * @param {HTMLElement} container - Container element
    * @param {string} labelText - Label text
-   * @param {string} propertyName - Property name for callbacks
-   * @param {string} defaultColor - Default color value
+   * @param {Function} onChange - Called with the new color value
+   * @returns {HTMLInputElement} The color input
    */
-  createColorInput(container, labelText, propertyName, defaultColor) {
+  createColorInput(container, labelText, onChange) {
     const colorRow = document.createElement("div");
     colorRow.className = CSS_CLASSES.colorRow;
 
     const colorInput = document.createElement("input");
     colorInput.type = "color";
-    colorInput.value = colorNameToHex(defaultColor);
     colorInput.className = CSS_CLASSES.colorInput;
+    colorInput.title = labelText;
 
     colorInput.addEventListener("change", (e) => {
       const newColor = e.target.value;
-      if (this.callbacks.onColorChange) {
-        this.callbacks.onColorChange(propertyName, newColor);
-      }
+      onChange(newColor);
       console.log(`${labelText} changed to:`, newColor);
     });
 
+    // Opens the riso ink swatches next to the free color input
+    const swatchButton = document.createElement("button");
+    swatchButton.className = CSS_CLASSES.swatchButton;
+    swatchButton.innerText = "Inks";
+    swatchButton.title = `Pick a riso ink for ${labelText}`;
+    swatchButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.openSwatchPicker(labelText, onChange);
+    });
+
     colorRow.appendChild(colorInput);
+    colorRow.appendChild(swatchButton);
     container.appendChild(colorRow);
 
-    // Store reference for easy access
-    this.elements[`${propertyName}Input`] = colorInput;
+    return colorInput;
+  }
+
+  /**
+   * Create the searchable riso ink swatch picker
+   * One picker is shared by every color input and starts hidden
+   * (see openSwatchPicker)
+   */
+  createSwatchPicker() {
+    const swatchPicker = document.createElement("div");
+    swatchPicker.className = CSS_CLASSES.swatchPicker;
+    swatchPicker.style.display = "none";
+
+    const searchInput = document.createElement("input");
+    searchInput.type = "search";
+    searchInput.className = CSS_CLASSES.swatchSearch;
+    searchInput.placeholder = "Search inks";
+    swatchPicker.appendChild(searchInput);
+
+    const swatchGrid = document.createElement("div");
+    swatchGrid.className = CSS_CLASSES.swatchGrid;
+    swatchPicker.appendChild(swatchGrid);
+
+    const swatches = RISO_INKS.map((ink) => {
+      const swatch = document.createElement("button");
+      swatch.className = CSS_CLASSES.swatch;
+      swatch.style.background = ink.hex;
+      swatch.title = `${ink.label} (${ink.hex})`;
+      swatch.setAttribute("aria-label", ink.label);
+      swatch.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (this.swatchPickerTarget) {
+          this.swatchPickerTarget(risoInkName(ink));
+        }
+        this.closeSwatchPicker();
+      });
+      swatchGrid.appendChild(swatch);
+      return { ink, swatch };
+    });
+
+    searchInput.addEventListener("input", (e) => {
+      const query = e.target.value.trim().toLowerCase();
+      swatches.forEach(({ ink, swatch }) => {
+        const matches =
+          ink.label.toLowerCase().includes(query) ||
+          ink.hex.toLowerCase().includes(query);
+        swatch.style.display = matches ? "" : "none";
+      });
+    });
+
+    searchInput.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.closeSwatchPicker();
+      } else if (e.key === "Enter") {
+        // Enter picks the first ink still shown
+        const first = swatches.find(
+          ({ swatch }) => swatch.style.display !== "none",
+        );
+        if (first) first.swatch.click();
+      }
+    });
+
+    const closeButton = document.createElement("button");
+    closeButton.innerText = "Close";
+    closeButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.closeSwatchPicker();
+    });
+    swatchPicker.appendChild(closeButton);
+
+    this.parentElement.appendChild(swatchPicker);
+    this.elements.swatchPicker = swatchPicker;
+    this.elements.swatchSearch = searchInput;
+    this.swatchPickerTarget = null;
+  }
+
+  /**
+   * Show the swatch picker for one color input
+   * @param {string} labelText - Label of the color being picked
+   * @param {Function} onSelect - Called with the chosen ink name
+   */
+  openSwatchPicker(labelText, onSelect) {
+    if (!this.elements.swatchPicker) return;
+
+    this.swatchPickerTarget = onSelect;
+    const searchInput = this.elements.swatchSearch;
+    searchInput.value = "";
+    searchInput.dispatchEvent(new Event("input"));
+    searchInput.setAttribute("aria-label", `Riso ink for ${labelText}`);
+    this.elements.swatchPicker.style.display = "";
+    searchInput.focus();
+  }
+
+  /**
+   * Hide the swatch picker
+   */
+  closeSwatchPicker() {
+    if (this.elements.swatchPicker) {
+      this.elements.swatchPicker.style.display = "none";
+    }
+    this.swatchPickerTarget = null;
   }
 
   /**
@@ -603,6 +1795,13 @@ export class UIManager {
     if (this.elements.hueSlider) {
       this.elements.hueSlider.value = defaultValues.hue;
     }
+    if (this.elements.diffusion_strengthSlider) {
+      this.elements.diffusion_strengthSlider.value =
+        defaultValues.diffusion_strength;
+    }
+    if (this.elements.error_limitSlider) {
+      this.elements.error_limitSlider.value = defaultValues.error_limit;
+    }
   }
 
   /**
@@ -627,6 +1826,56 @@ export class UIManager {
     }
   }
 
+  /**
+   * Update render mode selection
+   * @param {string} mode - Render mode
+   */
+  updateRenderMode(mode) {
+    if (this.elements.renderModeSelect) {
+      this.elements.renderModeSelect.value = mode;
+    }
+  }
+
+  /**
+   * Update serpentine checkbox state
+   * @param {boolean} enabled - Whether serpentine scanning is on
+   */
+  updateSerpentine(enabled) {
+    if (this.elements.serpentineCheckbox) {
+      this.elements.serpentineCheckbox.checked = enabled;
+    }
+  }
+
+  /**
+   * Update linear-light checkbox state
+   * @param {boolean} enabled - Whether error diffusion runs in linear light
+   */
+  updateLinearLight(enabled) {
+    if (this.elements.linearLightCheckbox) {
+      this.elements.linearLightCheckbox.checked = enabled;
+    }
+  }
+
+  /**
+   * Update overprint checkbox state
+   * @param {boolean} enabled - Whether pixels may carry several inks
+   */
+  updateOverprint(enabled) {
+    if (this.elements.overprintCheckbox) {
+      this.elements.overprintCheckbox.checked = enabled;
+    }
+  }
+
+  /**
+   * Update color metric selection
+   * @param {string} metric - Color distance metric
+   */
+  updateColorMetric(metric) {
+    if (this.elements.colorMetricSelect) {
+      this.elements.colorMetricSelect.value = metric;
+    }
+  }
+
   /**
    * Update size selector values
    * @param {number} widthValue - New width value
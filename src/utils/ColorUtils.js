@@ -3,24 +3,100 @@
  * Handles color conversion, distance calculations, and palette operations
  */
 
+import { DEFAULT_VALUES, RISO_INKS, SLIDER_CONFIGS } from './Constants.js';
+
+// Selects a risograph ink by name even when the name is a CSS keyword
+const RISO_PREFIX = 'riso:';
+
 /**
- * Converts any CSS color (name, hex, rgb, etc.) to RGB array
- * Uses canvas rendering to handle all CSS color formats consistently
+ * Converts any CSS color (name, hex, rgb, etc.) or risograph ink name to RGB array
+ * Uses canvas rendering to handle all CSS color formats consistently. CSS
+ * keywords take precedence over ink names, so 'blue' is CSS blue and
+ * 'riso:blue' is Riso Blue (see findRisoInk).
  *
- * @param {string} color - CSS color value (e.g., 'red', '#FF0000', 'rgb(255,0,0)')
+ * @param {string} color - Ink name or CSS color value (e.g., 'fluorescent-pink', 'riso:blue', '#FF0000', 'rgb(255,0,0)')
  * @returns {number[]} RGB array [r, g, b] where each value is 0-255
  */
 export function colorToRgb(color) {
-  const canvas = document.createElement('canvas');
-  canvas.width = 1;
-  canvas.height = 1;
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = color;
+  const ink = findRisoInk(color);
+  const ctx = createSwatchContext();
+  ctx.fillStyle = ink ? ink.hex : color;
   ctx.fillRect(0, 0, 1, 1);
   const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
   return [r, g, b];
 }
 
+/**
+ * Looks up a risograph ink by name
+ * Matching ignores case, and spaces or underscores count as hyphens, so
+ * 'Fluorescent Pink' and 'fluorescent_pink' both find 'fluorescent-pink'.
+ * Names that are also CSS color keywords ('blue', 'orange', 'gray', ...)
+ * only find the ink with the 'riso:' prefix; the prefix works for every ink.
+ *
+ * @param {string} name - Ink name, optionally prefixed with 'riso:'
+ * @returns {Object|null} Ink entry from RISO_INKS ({value, label, hex}), or null
+ */
+export function findRisoInk(name) {
+  if (typeof name !== 'string') return null;
+  let value = name.trim().toLowerCase();
+  const prefixed = value.startsWith(RISO_PREFIX);
+  if (prefixed) value = value.slice(RISO_PREFIX.length).trim();
+  value = value.replace(/[\s_]+/g, '-');
+  const ink = RISO_INKS.find(ink => ink.value === value) || null;
+  if (ink && !prefixed && isCssColorKeyword(ink.value)) return null;
+  return ink;
+}
+
+/**
+ * Name that selects a risograph ink wherever a color is accepted
+ * This is the ink's value, prefixed with 'riso:' when it is also a CSS keyword.
+ *
+ * @param {Object} ink - Ink entry from RISO_INKS
+ * @returns {string} Ink name for the palette and other color attributes
+ */
+export function risoInkName(ink) {
+  return isCssColorKeyword(ink.value) ? RISO_PREFIX + ink.value : ink.value;
+}
+
+// Ink value -> whether the browser also parses it as a CSS color
+const cssKeywordCache = new Map();
+
+/**
+ * Checks whether a name is a CSS color keyword
+ * Canvas ignores fill styles it cannot parse, so a keyword is any name that
+ * replaces the previous fill style.
+ *
+ * @param {string} name - Lowercase name
+ * @returns {boolean} True if CSS understands the name as a color
+ * @private
+ */
+function isCssColorKeyword(name) {
+  if (!cssKeywordCache.has(name)) {
+    const ctx = createSwatchContext();
+    ctx.fillStyle = '#010203';
+    ctx.fillStyle = name;
+    cssKeywordCache.set(name, ctx.fillStyle !== '#010203');
+  }
+  return cssKeywordCache.get(name);
+}
+
+/**
+ * Creates a 1x1 2D context for resolving CSS colors
+ * Uses OffscreenCanvas where available so color parsing also works inside
+ * the processing worker, where there is no document.
+ *
+ * @returns {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} Drawing context
+ * @private
+ */
+function createSwatchContext() {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 1;
+  return canvas.getContext('2d', { willReadFrequently: true });
+}
+
 /**
  * Calculates the Euclidean distance between two RGB colors
  * Used to determine which palette color is closest to a given pixel
@@ -37,26 +113,349 @@ export function colorDistance(rgb1, rgb2) {
   );
 }
 
+/**
+ * Calculates the "redmean" weighted RGB distance between two colors
+ * A cheap approximation of perceived difference that weights the red and blue
+ * channels by the average red level of the two colors.
+ *
+ * @param {number[]} rgb1 - First color as [r, g, b] array
+ * @param {number[]} rgb2 - Second color as [r, g, b] array
+ * @returns {number} Distance value (lower = more similar colors)
+ */
+export function redmeanDistance(rgb1, rgb2) {
+  const rMean = (rgb1[0] + rgb2[0]) / 2;
+  const dr = rgb1[0] - rgb2[0];
+  const dg = rgb1[1] - rgb2[1];
+  const db = rgb1[2] - rgb2[2];
+  return Math.sqrt(
+    (2 + rMean / 256) * dr * dr +
+    4 * dg * dg +
+    (2 + (255 - rMean) / 256) * db * db
+  );
+}
+
+/**
+ * Decodes an sRGB channel value to linear light
+ * @param {number} value - sRGB channel value, 0-255
+ * @returns {number} Linear intensity, 0-1
+ */
+export function srgbToLinear(value) {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Encodes a linear intensity back to an sRGB channel value
+ * @param {number} value - Linear intensity, 0-1
+ * @returns {number} sRGB channel value, 0-255 (not rounded)
+ */
+export function linearToSrgb(value) {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return c * 255;
+}
+
+/**
+ * Converts an sRGB color to CIELAB (D65 white point)
+ * Channel values outside 0-255 are clamped first
+ *
+ * @param {number[]} rgb - Color as [r, g, b] array
+ * @returns {number[]} Lab color as [L, a, b] array
+ */
+export function rgbToLab(rgb) {
+  const linear = rgb.map(value => srgbToLinear(Math.max(0, Math.min(255, value))));
+
+  // Linear sRGB to XYZ, normalized by the D65 reference white
+  const x = (0.4124564 * linear[0] + 0.3575761 * linear[1] + 0.1804375 * linear[2]) / 0.95047;
+  const y = 0.2126729 * linear[0] + 0.7151522 * linear[1] + 0.0721750 * linear[2];
+  const z = (0.0193339 * linear[0] + 0.1191920 * linear[1] + 0.9503041 * linear[2]) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Converts a CIELAB color back to sRGB (D65), the inverse of rgbToLab
+ * Colors outside the sRGB gamut are clamped.
+ *
+ * @param {number[]} lab - Color as [L, a, b] array
+ * @returns {number[]} RGB array [r, g, b] where each value is a 0-255 integer
+ */
+export function labToRgb(lab) {
+  const fy = (lab[0] + 16) / 116;
+  const fx = fy + lab[1] / 500;
+  const fz = fy - lab[2] / 200;
+
+  const finv = t => (t > 6 / 29 ? t * t * t : (116 * t - 16) * 27 / 24389);
+  const x = finv(fx) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fz) * 1.08883;
+
+  // XYZ to linear sRGB
+  const linear = [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+  ];
+
+  return linear.map(value => Math.round(linearToSrgb(Math.max(0, Math.min(1, value)))));
+}
+
+/**
+ * CIE76 color difference (Euclidean distance in Lab)
+ * @param {number[]} lab1 - First color as [L, a, b] array
+ * @param {number[]} lab2 - Second color as [L, a, b] array
+ * @returns {number} ΔE*ab
+ */
+export function deltaE76(lab1, lab2) {
+  return Math.sqrt(
+    Math.pow(lab1[0] - lab2[0], 2) +
+    Math.pow(lab1[1] - lab2[1], 2) +
+    Math.pow(lab1[2] - lab2[2], 2)
+  );
+}
+
+/**
+ * CIE94 color difference (graphic arts weighting)
+ * @param {number[]} lab1 - Reference color as [L, a, b] array
+ * @param {number[]} lab2 - Sample color as [L, a, b] array
+ * @returns {number} ΔE*94
+ */
+export function deltaE94(lab1, lab2) {
+  const dL = lab1[0] - lab2[0];
+  const c1 = Math.hypot(lab1[1], lab1[2]);
+  const c2 = Math.hypot(lab2[1], lab2[2]);
+  const dC = c1 - c2;
+  const da = lab1[1] - lab2[1];
+  const db = lab1[2] - lab2[2];
+  // ΔH² may come out slightly negative from rounding
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const sC = 1 + 0.045 * c1;
+  const sH = 1 + 0.015 * c1;
+  return Math.sqrt(dL * dL + Math.pow(dC / sC, 2) + dH2 / (sH * sH));
+}
+
+/**
+ * CIEDE2000 color difference
+ * Follows Sharma, Wu and Dalal's reference formulation with kL = kC = kH = 1
+ *
+ * @param {number[]} lab1 - First color as [L, a, b] array
+ * @param {number[]} lab2 - Second color as [L, a, b] array
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+
+  const cBar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const cBar7 = Math.pow(cBar, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+
+  const hueAngle = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = c2p - c1p;
+  let dhp = 0;
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * rad);
+
+  const lBarP = (L1 + L2) / 2;
+  const cBarP = (c1p + c2p) / 2;
+  let hBarP = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      hBarP /= 2;
+    } else {
+      hBarP = h1p + h2p < 360 ? (hBarP + 360) / 2 : (hBarP - 360) / 2;
+    }
+  }
+
+  const t = 1 -
+    0.17 * Math.cos((hBarP - 30) * rad) +
+    0.24 * Math.cos(2 * hBarP * rad) +
+    0.32 * Math.cos((3 * hBarP + 6) * rad) -
+    0.20 * Math.cos((4 * hBarP - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+  const cBarP7 = Math.pow(cBarP, 7);
+  const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+  const lBarP50 = Math.pow(lBarP - 50, 2);
+  const sL = 1 + (0.015 * lBarP50) / Math.sqrt(20 + lBarP50);
+  const sC = 1 + 0.045 * cBarP;
+  const sH = 1 + 0.015 * cBarP * t;
+  const rT = -Math.sin(2 * dTheta * rad) * rC;
+
+  return Math.sqrt(
+    Math.pow(dLp / sL, 2) +
+    Math.pow(dCp / sC, 2) +
+    Math.pow(dHp / sH, 2) +
+    rT * (dCp / sC) * (dHp / sH)
+  );
+}
+
+/**
+ * Whether a color metric compares colors in CIELAB
+ * @param {string} metric - Metric name (rgb, redmean, de76, de94, de2000)
+ * @returns {boolean} True for the ΔE metrics
+ */
+export function isLabMetric(metric) {
+  return metric === 'de76' || metric === 'de94' || metric === 'de2000';
+}
+
+/**
+ * Get the distance function for a metric
+ * ΔE functions expect Lab inputs, the others RGB
+ *
+ * @param {string} metric - Metric name
+ * @returns {Function} Distance function (a, b) => number
+ * @private
+ */
+function getDistanceFunction(metric) {
+  switch (metric) {
+    case 'redmean': return redmeanDistance;
+    case 'de76': return deltaE76;
+    case 'de94': return deltaE94;
+    case 'de2000': return deltaE2000;
+    default: return colorDistance;
+  }
+}
+
+/**
+ * Precomputes Lab values for a palette so ΔE metrics don't convert it per pixel
+ * @param {number[][]} palette - Array of palette colors [[r,g,b], ...]
+ * @returns {number[][]} Array of Lab colors in palette order
+ */
+export function buildPaletteLab(palette) {
+  return palette.map(rgbToLab);
+}
+
 /**
  * Finds the closest color in the palette to a given RGB color
- * Uses Euclidean distance in RGB color space for color matching
  *
  * @param {number[]} rgb - Target color as [r, g, b] array
  * @param {number[][]} palette - Array of palette colors [[r,g,b], [r,g,b], ...]
+ * @param {string} metric - Color distance metric: 'rgb' (Euclidean, default),
+ *   'redmean', 'de76', 'de94' or 'de2000'
+ * @param {number[][]} paletteLab - Optional precomputed Lab values for the palette
  * @returns {number[]} Closest palette color as [r, g, b] array
  */
-export function findClosestColor(rgb, palette) {
-  let closestColor = palette[0];
-  let minDistance = colorDistance(rgb, palette[0]);
+export function findClosestColor(rgb, palette, metric = 'rgb', paletteLab = null) {
+  return palette[findClosestColorIndex(rgb, palette, metric, paletteLab)];
+}
 
-  for (let i = 1; i < palette.length; i++) {
-    const distance = colorDistance(rgb, palette[i]);
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestColor = palette[i];
+/**
+ * Finds the index of the closest color in the palette to a given RGB color
+ *
+ * @param {number[]} rgb - Target color as [r, g, b] array
+ * @param {number[][]} palette - Array of palette colors [[r,g,b], [r,g,b], ...]
+ * @param {string} metric - Color distance metric (see findClosestColor)
+ * @param {number[][]} paletteLab - Optional precomputed Lab values for the palette
+ * @param {number[]} weights - Optional weight per palette color (see findClosestIndex)
+ * @returns {number} Index of the closest palette color
+ */
+export function findClosestColorIndex(rgb, palette, metric = 'rgb', paletteLab = null, weights = null) {
+  let target = rgb;
+  let candidates = palette;
+
+  if (isLabMetric(metric)) {
+    target = rgbToLab(rgb);
+    candidates = paletteLab || buildPaletteLab(palette);
+  }
+
+  return findClosestIndex(target, candidates, getDistanceFunction(metric), weights);
+}
+
+/**
+ * Index of the candidate with the smallest distance to the target
+ *
+ * With weights, each candidate's distance is divided by its weight, so a
+ * weight of 2 wins against an unweighted candidate up to twice as far away.
+ * A color that exactly matches a candidate still picks that candidate.
+ *
+ * @param {number[]} target - Target color in the candidates' color space
+ * @param {number[][]} candidates - Palette colors in the same color space
+ * @param {Function} distance - Distance function (a, b) => number
+ * @param {number[]} weights - Optional weight per candidate (1 = neutral)
+ * @returns {number} Index of the closest candidate
+ * @private
+ */
+function findClosestIndex(target, candidates, distance, weights = null) {
+  let closestIndex = 0;
+  let minDistance = distance(target, candidates[0]) / (weights ? weights[0] : 1);
+
+  for (let i = 1; i < candidates.length; i++) {
+    const d = distance(target, candidates[i]) / (weights ? weights[i] : 1);
+    if (d < minDistance) {
+      minDistance = d;
+      closestIndex = i;
+    }
+  }
+  return closestIndex;
+}
+
+/**
+ * Builds a quantized RGB lookup table of nearest palette indices
+ *
+ * The RGB cube is split into (2^bits)³ cells and each cell stores the index of
+ * the palette color closest to the cell's center, using the same metric as
+ * findClosestColor. Looking up a pixel is then a single indexed read:
+ *
+ *   lut[(r >> shift) << (2 * bits) | (g >> shift) << bits | (b >> shift)]
+ *
+ * Tolerance: with bits = 5 (32³ cells, the default) every input lies at most
+ * 3.5 levels per channel (about 6 RGB units) from its cell center, so the
+ * result only differs from the exact search for colors that close to the
+ * boundary between two inks. bits = 6 halves that distance.
+ *
+ * @param {number[][]} palette - Array of palette colors [[r,g,b], ...]
+ * @param {string} metric - Color distance metric (see findClosestColor)
+ * @param {number} bits - Bits per channel, 1-8 (default 5 = 32 levels)
+ * @param {number[][]} paletteLab - Optional precomputed Lab values for the palette
+ * @param {number[]} weights - Optional weight per palette color (see findClosestIndex)
+ * @returns {Uint8Array} Lookup table of palette indices
+ */
+export function buildColorLookupTable(palette, metric = 'rgb', bits = 5, paletteLab = null, weights = null) {
+  const levels = 1 << bits;
+  const step = 256 / levels;
+  const table = new Uint8Array(levels * levels * levels);
+  const useLab = isLabMetric(metric);
+  const candidates = useLab ? (paletteLab || buildPaletteLab(palette)) : palette;
+  const distance = getDistanceFunction(metric);
+
+  // Center of the integer values covered by a cell
+  const center = (step - 1) / 2;
+  const cell = [0, 0, 0];
+  let index = 0;
+  for (let r = 0; r < levels; r++) {
+    cell[0] = r * step + center;
+    for (let g = 0; g < levels; g++) {
+      cell[1] = g * step + center;
+      for (let b = 0; b < levels; b++) {
+        cell[2] = b * step + center;
+        const target = useLab ? rgbToLab(cell) : cell;
+        table[index++] = findClosestIndex(target, candidates, distance, weights);
+      }
     }
   }
-  return closestColor;
+
+  return table;
 }
 
 /**
@@ -71,37 +470,167 @@ export function colorNameToHex(colorName) {
   }
 
   // Convert named colors to hex using canvas
-  const canvas = document.createElement('canvas');
-  canvas.width = 1;
-  canvas.height = 1;
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = colorName;
-  ctx.fillRect(0, 0, 1, 1);
-  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+  return rgbToHex(colorToRgb(colorName));
+}
 
-  // Convert RGB to hex
-  return '#' + [r, g, b].map(x => {
+/**
+ * Converts an RGB color to a hex string
+ * @param {number[]} rgb - Color as [r, g, b] array (0-255 integers)
+ * @returns {string} Hex color value such as "#ff6c2f"
+ */
+export function rgbToHex(rgb) {
+  return '#' + rgb.map(x => {
     const hex = x.toString(16);
     return hex.length === 1 ? '0' + hex : hex;
   }).join('');
 }
 
 /**
- * Builds the standard 6-color palette for risograph printing
- * @param {string} color1 - First ink color
- * @param {string} color2 - Second ink color
- * @param {string} color3 - Third ink color
- * @param {string} color4 - Fourth ink color
- * @param {string} color5 - Fifth ink color
- * @returns {number[][]} Array of RGB color arrays
+ * Builds the dithering palette for risograph printing
+ * @param {string[]} inks - Ink colors, one per drum
+ * @param {string} paperColor - Paper stock color (default white)
+ * @returns {number[][]} Array of RGB color arrays, paper first
  */
-export function buildPalette(color1, color2, color3, color4, color5) {
+export function buildPalette(inks, paperColor = 'white') {
   return [
-    [255, 255, 255], // White - represents paper/no ink
-    colorToRgb(color1),
-    colorToRgb(color2),
-    colorToRgb(color3),
-    colorToRgb(color4),
-    colorToRgb(color5)
+    colorToRgb(paperColor), // Paper - represents no ink
+    ...inks.map(colorToRgb)
   ];
 }
+
+/**
+ * Builds the weight of every color in a palette for the palette search
+ * Paper keeps a weight of 1. With overprint, a combination's weight is the
+ * product of its inks' weights, indexed by bit mask like buildOverprintPalette.
+ *
+ * @param {number[]} inkWeights - Weight per ink in percent (100 = neutral);
+ *   missing entries are neutral
+ * @param {number} inkCount - Number of inks in the palette
+ * @param {boolean} overprint - Whether to weight overprint combinations
+ * @returns {number[]|null} Weight per palette color, or null when every
+ *   weight is neutral
+ */
+export function buildPaletteWeights(inkWeights, inkCount, overprint = false) {
+  const weights = [];
+  for (let i = 0; i < inkCount; i++) {
+    weights.push((inkWeights[i] ?? DEFAULT_VALUES.INK_WEIGHT) / 100);
+  }
+  if (weights.every(weight => weight === 1)) {
+    return null;
+  }
+
+  if (!overprint) {
+    return [1, ...weights];
+  }
+  const combinations = [];
+  for (let mask = 0; mask < (1 << inkCount); mask++) {
+    let product = 1;
+    weights.forEach((weight, i) => {
+      if (mask & (1 << i)) {
+        product *= weight;
+      }
+    });
+    combinations.push(product);
+  }
+  return combinations;
+}
+
+/**
+ * Builds every overprint combination of the inks in a palette
+ *
+ * Riso inks are translucent, so inks printed on top of each other filter the
+ * light one after another. Each combination is simulated by multiplying the
+ * paper color with every ink's color in linear light. The result is indexed
+ * by bit mask: bit i set means ink i + 1 is printed, so entry 0 is bare paper
+ * and entry 0b101 is the first and third inks overprinted.
+ *
+ * @param {number[][]} palette - Paper followed by ink colors (see buildPalette)
+ * @returns {number[][]} Simulated RGB color for each of the 2^inks combinations
+ */
+export function buildOverprintPalette(palette) {
+  const [paper, ...inks] = palette;
+  const toLinear = color => color.map(srgbToLinear);
+  const paperLinear = toLinear(paper);
+  const inksLinear = inks.map(toLinear);
+  const combinations = [];
+
+  for (let mask = 0; mask < (1 << inks.length); mask++) {
+    const linear = [...paperLinear];
+    inksLinear.forEach((ink, i) => {
+      if (mask & (1 << i)) {
+        for (let c = 0; c < 3; c++) {
+          linear[c] *= ink[c];
+        }
+      }
+    });
+    combinations.push(linear.map(value => Math.round(linearToSrgb(value))));
+  }
+
+  return combinations;
+}
+
+/**
+ * Parses a palette attribute such as "black, #ff6c2f, rgb(35, 91, 168)"
+ * Entries are separated by commas outside of parentheses, so functional
+ * color notations can be used.
+ *
+ * @param {string} value - Attribute value
+ * @returns {string[]} Ink colors (empty if the value is empty)
+ */
+export function parsePalette(value) {
+  const inks = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value || '') {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      inks.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  inks.push(current);
+
+  return inks.map(ink => ink.trim()).filter(ink => ink !== '');
+}
+
+/**
+ * Serializes ink colors back to the palette attribute format
+ * @param {string[]} inks - Ink colors
+ * @returns {string} Attribute value
+ */
+export function formatPalette(inks) {
+  return inks.join(', ');
+}
+
+/**
+ * Parses an ink-weights attribute such as "100 60 140"
+ * Weights are percentages, one per ink in palette order, separated by spaces
+ * or commas. Invalid entries are neutral (100) and values are clamped to the
+ * ink weight range.
+ *
+ * @param {string} value - Attribute value
+ * @returns {number[]} Weight per ink (empty if the value is empty)
+ */
+export function parseInkWeights(value) {
+  const { min, max } = SLIDER_CONFIGS.ink_weight;
+  return (value || '').split(/[\s,]+/)
+    .filter(entry => entry !== '')
+    .slice(0, DEFAULT_VALUES.MAX_INKS)
+    .map(entry => {
+      const weight = parseFloat(entry);
+      return isNaN(weight) ? DEFAULT_VALUES.INK_WEIGHT : Math.max(min, Math.min(max, weight));
+    });
+}
+
+/**
+ * Serializes ink weights back to the ink-weights attribute format
+ * @param {number[]} weights - Weight per ink in percent
+ * @returns {string} Attribute value
+ */
+export function formatInkWeights(weights) {
+  return weights.join(' ');
+}
@@ -17,15 +17,66 @@ export const DEFAULT_VALUES = {
   BRIGHTNESS: 100,
   HUE: 0,
 
-  // Default risograph colors
-  COLOR_1: "black",
-  COLOR_2: "orange",
-  COLOR_3: "blue",
-  COLOR_4: "pink",
-  COLOR_5: "red",
+  // Tone stage applied to the pixels before dithering
+  LEVELS: { black: 0, white: 255, gamma: 1 },
+  // Control points ([input, output]) of a straight curve
+  CURVE: [
+    [0, 0],
+    [255, 255],
+  ],
+  // Pre-filters; a denoise radius or sharpen amount of 0 turns them off
+  DENOISE: { method: "gaussian", radius: 0 },
+  SHARPEN: { amount: 0, radius: 1, threshold: 0 },
+
+  // Paper stock; dithering treats it as the "no ink" entry
+  PAPER_COLOR: "white",
+
+  // Default risograph inks (see RISO_INKS), one per drum; new inks cycle through this list
+  PALETTE: [
+    "riso:black",
+    "riso:orange",
+    "riso:blue",
+    "fluorescent-pink",
+    "bright-red",
+  ],
+  MIN_INKS: 1,
+  MAX_INKS: 8,
+  // Per-ink weight in percent; above 100 the palette search picks the ink
+  // more readily, below 100 less
+  INK_WEIGHT: 100,
+  // Inks the auto palette can snap to (empty = every ink in RISO_INKS)
+  INK_LIBRARY: [],
+  SNAP_TO_LIBRARY: false,
+
+  // Rendering: dithered tones, or line art drawn in one ink
+  RENDER_MODE: "dither",
+  // Line art: detector, edge threshold (0-255), extra line thickness (px),
+  // line ink and fill ink (1-based; fill 0 = bare paper)
+  LINE_ART: { detector: "sobel", threshold: 48, weight: 1, ink: 1, fill: 0 },
+
+  // Posterize dither method: source channel, and most bands allowed
+  POSTERIZE_CHANNEL: "luminance",
+  MAX_POSTERIZE_BANDS: 16,
 
   // Dithering
   DITHER_METHOD: "floyd-steinberg",
+  COLOR_METRIC: "rgb",
+  SERPENTINE: false,
+  LINEAR_LIGHT: false,
+  OVERPRINT: false,
+  DIFFUSION_STRENGTH: 100,
+  ERROR_LIMIT: 255,
+  // Bits per channel for the palette lookup table (5 = 32³ cells)
+  COLOR_LOOKUP_BITS: 5,
+
+  // AM halftone screens, one per ink: angle (degrees), lines per inch, dot shape
+  HALFTONE_SCREENS: [
+    { angle: 45, lpi: 60, shape: "round" },
+    { angle: 15, lpi: 60, shape: "round" },
+    { angle: 75, lpi: 60, shape: "round" },
+    { angle: 0, lpi: 60, shape: "round" },
+    { angle: 30, lpi: 60, shape: "round" },
+  ],
 
   // Video constraints
   VIDEO_WIDTH: 1920,
@@ -40,7 +91,149 @@ export const DITHER_METHODS = [
   { value: "sierra", label: "Sierra" },
   { value: "stucki", label: "Stucki" },
   { value: "jarvis", label: "Jarvis-Judice-Ninke" },
+  { value: "ostromoukhov", label: "Ostromoukhov (Variable)" },
+  { value: "riemersma", label: "Riemersma (Hilbert)" },
   { value: "threshold", label: "Simple Threshold" },
+  { value: "bayer-2", label: "Bayer 2×2" },
+  { value: "bayer-4", label: "Bayer 4×4" },
+  { value: "bayer-8", label: "Bayer 8×8" },
+  { value: "bayer-16", label: "Bayer 16×16" },
+  { value: "blue-noise", label: "Blue Noise" },
+  { value: "knoll", label: "Knoll Pattern" },
+  { value: "halftone", label: "AM Halftone" },
+  { value: "posterize", label: "Posterize" },
+];
+
+export const POSTERIZE_CHANNELS = [
+  { value: "luminance", label: "Luminance" },
+  { value: "red", label: "Red" },
+  { value: "green", label: "Green" },
+  { value: "blue", label: "Blue" },
+];
+
+export const RENDER_MODES = [
+  { value: "dither", label: "Dithered" },
+  { value: "line-art", label: "Line Art" },
+  { value: "separation", label: "Grayscale Separation" },
+];
+
+export const EDGE_DETECTORS = [
+  { value: "sobel", label: "Sobel" },
+  { value: "canny", label: "Canny" },
+];
+
+export const COLOR_METRICS = [
+  { value: "rgb", label: "RGB (Euclidean)" },
+  { value: "redmean", label: "Weighted RGB (Redmean)" },
+  { value: "de76", label: "CIELAB ΔE76" },
+  { value: "de94", label: "CIELAB ΔE94" },
+  { value: "de2000", label: "CIELAB ΔE2000" },
+];
+
+export const HALFTONE_DOT_SHAPES = [
+  { value: "round", label: "Round" },
+  { value: "ellipse", label: "Ellipse" },
+  { value: "line", label: "Line" },
+  { value: "square", label: "Square" },
+];
+
+// Standard risograph inks; hex values are screen approximations of the
+// printed colors. Ink names can be used anywhere a color is accepted.
+export const RISO_INKS = [
+  { value: "black", label: "Black", hex: "#000000" },
+  { value: "burgundy", label: "Burgundy", hex: "#914E72" },
+  { value: "blue", label: "Blue", hex: "#0078BF" },
+  { value: "green", label: "Green", hex: "#00A95C" },
+  { value: "medium-blue", label: "Medium Blue", hex: "#3255A4" },
+  { value: "bright-red", label: "Bright Red", hex: "#F15060" },
+  { value: "risofederal-blue", label: "Risofederal Blue", hex: "#3D5588" },
+  { value: "purple", label: "Purple", hex: "#765BA7" },
+  { value: "teal", label: "Teal", hex: "#00838A" },
+  { value: "flat-gold", label: "Flat Gold", hex: "#BB8B41" },
+  { value: "hunter-green", label: "Hunter Green", hex: "#407060" },
+  { value: "red", label: "Red", hex: "#FF665E" },
+  { value: "brown", label: "Brown", hex: "#925F52" },
+  { value: "yellow", label: "Yellow", hex: "#FFE800" },
+  { value: "marine-red", label: "Marine Red", hex: "#D2515E" },
+  { value: "orange", label: "Orange", hex: "#FF6C2F" },
+  { value: "fluorescent-pink", label: "Fluorescent Pink", hex: "#FF48B0" },
+  { value: "light-gray", label: "Light Gray", hex: "#88898A" },
+  { value: "metallic-gold", label: "Metallic Gold", hex: "#AC936E" },
+  { value: "crimson", label: "Crimson", hex: "#E45D50" },
+  { value: "fluorescent-orange", label: "Fluorescent Orange", hex: "#FF7477" },
+  { value: "cornflower", label: "Cornflower", hex: "#62A8E5" },
+  { value: "sky-blue", label: "Sky Blue", hex: "#4982CF" },
+  { value: "sea-blue", label: "Sea Blue", hex: "#0074A2" },
+  { value: "lake", label: "Lake", hex: "#235BA8" },
+  { value: "indigo", label: "Indigo", hex: "#484D7A" },
+  { value: "midnight", label: "Midnight", hex: "#435060" },
+  { value: "mist", label: "Mist", hex: "#D5E4C0" },
+  { value: "granite", label: "Granite", hex: "#A5AAA8" },
+  { value: "charcoal", label: "Charcoal", hex: "#70747C" },
+  { value: "smoky-teal", label: "Smoky Teal", hex: "#5F8289" },
+  { value: "steel", label: "Steel", hex: "#375E77" },
+  { value: "slate", label: "Slate", hex: "#5E695E" },
+  { value: "turquoise", label: "Turquoise", hex: "#00AA93" },
+  { value: "emerald", label: "Emerald", hex: "#19975D" },
+  { value: "grass", label: "Grass", hex: "#397E58" },
+  { value: "forest", label: "Forest", hex: "#516E5A" },
+  { value: "spruce", label: "Spruce", hex: "#4A635D" },
+  { value: "moss", label: "Moss", hex: "#68724D" },
+  { value: "sea-foam", label: "Sea Foam", hex: "#62C2B1" },
+  { value: "kelly-green", label: "Kelly Green", hex: "#67B346" },
+  { value: "light-teal", label: "Light Teal", hex: "#009DA5" },
+  { value: "ivy", label: "Ivy", hex: "#169B62" },
+  { value: "pine", label: "Pine", hex: "#237E74" },
+  { value: "lagoon", label: "Lagoon", hex: "#2F6165" },
+  { value: "violet", label: "Violet", hex: "#9D7AD2" },
+  { value: "orchid", label: "Orchid", hex: "#BB76CF" },
+  { value: "plum", label: "Plum", hex: "#845991" },
+  { value: "raisin", label: "Raisin", hex: "#775D7A" },
+  { value: "grape", label: "Grape", hex: "#6C5D80" },
+  { value: "scarlet", label: "Scarlet", hex: "#F65058" },
+  { value: "cranberry", label: "Cranberry", hex: "#D1517A" },
+  { value: "maroon", label: "Maroon", hex: "#9E4C6E" },
+  { value: "brick", label: "Brick", hex: "#A75154" },
+  { value: "light-lime", label: "Light Lime", hex: "#E3ED55" },
+  { value: "sunflower", label: "Sunflower", hex: "#FFB511" },
+  { value: "melon", label: "Melon", hex: "#FFAE3B" },
+  { value: "apricot", label: "Apricot", hex: "#F6A04D" },
+  { value: "paprika", label: "Paprika", hex: "#EE7F4B" },
+  { value: "pumpkin", label: "Pumpkin", hex: "#FF6F4C" },
+  { value: "bright-olive-green", label: "Bright Olive Green", hex: "#B49F29" },
+  { value: "bright-gold", label: "Bright Gold", hex: "#BA8032" },
+  { value: "copper", label: "Copper", hex: "#BD6439" },
+  { value: "mahogany", label: "Mahogany", hex: "#8E595A" },
+  { value: "bisque", label: "Bisque", hex: "#F2CDCF" },
+  { value: "bubble-gum", label: "Bubble Gum", hex: "#F984CA" },
+  { value: "light-mauve", label: "Light Mauve", hex: "#E6B5C9" },
+  { value: "dark-mauve", label: "Dark Mauve", hex: "#BD8CA6" },
+  { value: "gray", label: "Gray", hex: "#928D88" },
+  { value: "coral", label: "Coral", hex: "#FF8E91" },
+  { value: "white", label: "White", hex: "#FFFFFF" },
+  { value: "aqua", label: "Aqua", hex: "#5EC8E5" },
+  { value: "mint", label: "Mint", hex: "#82D8D5" },
+  { value: "fluorescent-yellow", label: "Fluorescent Yellow", hex: "#FFE916" },
+  { value: "fluorescent-red", label: "Fluorescent Red", hex: "#FF4C65" },
+  { value: "fluorescent-green", label: "Fluorescent Green", hex: "#44D62C" },
+];
+
+export const PALETTE_FILE_FORMATS = [
+  { value: "gpl", label: "GIMP (.gpl)", mimeType: "text/plain" },
+  { value: "ase", label: "Adobe (.ase)", mimeType: "application/octet-stream" },
+  { value: "json", label: "JSON (.json)", mimeType: "application/json" },
+];
+
+export const DENOISE_METHODS = [
+  { value: "gaussian", label: "Gaussian Blur" },
+  { value: "median", label: "Median" },
+];
+
+export const CURVE_CHANNELS = [
+  { value: "rgb", label: "RGB", color: "#ffffff" },
+  { value: "r", label: "Red", color: "#ff4444" },
+  { value: "g", label: "Green", color: "#44dd44" },
+  { value: "b", label: "Blue", color: "#4488ff" },
 ];
 
 export const SIZE_UNITS = [
@@ -54,6 +247,18 @@ export const SLIDER_CONFIGS = {
   saturation: { min: 0, max: 300, default: 100 },
   brightness: { min: 0, max: 300, default: 100 },
   hue: { min: 0, max: 360, default: 0 },
+  levels_black: { min: 0, max: 254, default: 0 },
+  levels_white: { min: 1, max: 255, default: 255 },
+  levels_gamma: { min: 0.1, max: 3, step: 0.01, default: 1 },
+  denoise_radius: { min: 0, max: 5, step: 0.5, default: 0 },
+  sharpen_amount: { min: 0, max: 300, default: 0 },
+  sharpen_radius: { min: 0.5, max: 5, step: 0.1, default: 1 },
+  sharpen_threshold: { min: 0, max: 64, default: 0 },
+  line_threshold: { min: 1, max: 255, default: 48 },
+  line_weight: { min: 0, max: 6, default: 1 },
+  ink_weight: { min: 25, max: 400, step: 5, default: 100 },
+  diffusion_strength: { min: 0, max: 100, default: 100 },
+  error_limit: { min: 0, max: 255, default: 255 },
 };
 
 export const OBSERVED_ATTRIBUTES = [
@@ -61,12 +266,37 @@ export const OBSERVED_ATTRIBUTES = [
   "saturation",
   "brightness",
   "hue",
-  "color-1",
-  "color-2",
-  "color-3",
-  "color-4",
-  "color-5",
+  "levels",
+  "curves",
+  "denoise",
+  "sharpen",
+  "palette",
+  // Legacy per-ink colors (color-1 ... color-8), applied to the palette
+  ...Array.from(
+    { length: DEFAULT_VALUES.MAX_INKS },
+    (_, i) => `color-${i + 1}`,
+  ),
+  "ink-weights",
+  "paper-color",
+  "ink-library",
+  "snap-to-library",
+  "render-mode",
+  "edge-detector",
+  "line-threshold",
+  "line-weight",
+  "line-ink",
+  "fill-ink",
   "dither-method",
+  "color-metric",
+  "serpentine",
+  "linear-light",
+  "overprint",
+  "diffusion-strength",
+  "error-limit",
+  "diffusion-matrices",
+  "halftone-screens",
+  "posterize-channel",
+  "posterize-bands",
   "width-value",
   "height-value",
   "size-unit",
@@ -86,4 +316,11 @@ export const CSS_CLASSES = {
   colorPickerContainer: "color-picker-container",
   colorRow: "color-row",
   colorInput: "color-input",
+  swatchButton: "swatch-button",
+  inkWeightInput: "ink-weight-input",
+  swatchPicker: "swatch-picker",
+  swatchSearch: "swatch-search",
+  swatchGrid: "swatch-grid",
+  swatch: "swatch",
+  curveEditor: "curve-editor",
 };